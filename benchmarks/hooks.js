@@ -0,0 +1,70 @@
+/**
+ * Hook matching benchmark: scanning every pattern per request (the old executeBefores)
+ * against the chains Routes compiles once per route.
+ *
+ * Usage: node benchmarks/hooks.js [apps] [iterations]
+ */
+import { Routes } from '../src/routes.js';
+
+const apps = Number(process.argv[2]) || 100;
+const iterations = Number(process.argv[3]) || 20000;
+
+// Hooks and routes shaped like many mounted sub-apps: 3 hooks and 2 routes per app
+const routes = new Routes();
+const noop = () => { };
+routes.addBefore('/*', noop);
+for (let i = 0; i < apps; i++) {
+  routes.addBefore(`/app${i}/*`, noop);
+  routes.addBefore(`/app${i}/users/:id`, noop);
+  routes.addAfter(`/app${i}/*`, noop);
+  routes.add('GET', `/app${i}/users/:id`, noop);
+  routes.add('GET', `/app${i}/status`, noop);
+}
+
+const probe = { setParam() { } };
+const paths = [`/app${apps - 1}/users/42`, `/app${Math.floor(apps / 2)}/status`, '/missing/path'];
+
+function scan(path) {
+  const matched = [];
+  for (const [pattern, handlers] of routes.befores.entries()) {
+    if (routes.matchesPattern(pattern, path)) {
+      matched.push(...handlers);
+    }
+  }
+  for (const [pattern, handlers] of routes.afters.entries()) {
+    if (routes.matchesPattern(pattern, path)) {
+      matched.push(...handlers);
+    }
+  }
+  return matched.length;
+}
+
+function compiled(path) {
+  const [route] = routes.match('GET', path, probe);
+  const chain = routes.chainFor(path, route);
+  return chain.befores.length + chain.afters.length;
+}
+
+function time(label, fn) {
+  // Warm up, then measure
+  for (let i = 0; i < 1000; i++) {
+    paths.forEach(fn);
+  }
+  const start = process.hrtime.bigint();
+  let total = 0;
+  for (let i = 0; i < iterations; i++) {
+    for (const path of paths) {
+      total += fn(path);
+    }
+  }
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  const perRequest = (ms * 1e6) / (iterations * paths.length);
+  console.log(`${label.padEnd(28)} ${ms.toFixed(1).padStart(9)} ms  ${perRequest.toFixed(0).padStart(7)} ns/request  (${total} hooks)`);
+  return ms;
+}
+
+routes.compile();
+console.log(`${routes.befores.size + routes.afters.size} hook patterns, ${iterations * paths.length} lookups\n`);
+const scanned = time('scan every pattern', scan);
+const resolved = time('compiled chains (incl. match)', compiled);
+console.log(`\n${(scanned / resolved).toFixed(1)}x faster`);
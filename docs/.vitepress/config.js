@@ -31,7 +31,8 @@ export default {
           { text: 'Templating & Assets', link: '/guide/templating' },
           { text: 'Route Groups', link: '/guide/groups' },
           { text: 'WebSockets', link: '/guide/websockets' },
-          { text: 'Daemons', link: '/guide/daemons' }
+          { text: 'Daemons', link: '/guide/daemons' },
+          { text: 'Testing', link: '/guide/testing' }
         ]
       }
     ],
@@ -0,0 +1,172 @@
+/**
+ * Cluster mode for Router.listen({ workers }): the primary process forks and supervises workers
+ */
+import cluster from 'cluster';
+import {
+  DEFAULT_SHUTDOWN_TIMEOUT,
+  WORKER_RESTART_DELAY,
+  WORKER_MAX_RESTART_DELAY,
+  WORKER_STABLE_AFTER,
+  WORKER_READY,
+  WORKER_SHUTDOWN
+} from './constants.js';
+
+/**
+ * Keeps `workers` copies of the application listening. Crashed workers are
+ * restarted with exponential backoff, reload() replaces them one at a time
+ * (the next one is stopped only once its replacement is ready) and stop()
+ * drains them all. Progress is emitted on the router: 'online' (worker),
+ * 'crash' ({ worker, code, signal, delay }) and 'reloaded'.
+ */
+export class Supervisor {
+  /**
+   * @param {Router} router - The application, emitting the cluster events
+   * @param {object} options - listen() options: workers, restartDelay, maxRestartDelay, shutdownTimeout
+   */
+  constructor(router, options = {}) {
+    if (!Number.isInteger(options.workers) || options.workers < 1) {
+      throw new TypeError(`listen({ workers }) expects a positive integer, got ${options.workers}`);
+    }
+
+    this.router = router;
+    this.size = options.workers;
+    this.restartDelay = options.restartDelay ?? WORKER_RESTART_DELAY;
+    this.maxRestartDelay = options.maxRestartDelay ?? WORKER_MAX_RESTART_DELAY;
+    this.shutdownTimeout = options.shutdownTimeout ?? DEFAULT_SHUTDOWN_TIMEOUT;
+
+    this.workers = new Map(); // Serving workers -> time they became ready
+    this.retiring = new Set(); // Workers asked to stop: not restarted when they exit
+    this.probes = new Set(); // Reload replacements not ready yet: not restarted either
+    this.restarts = new Set(); // Pending restart timers
+    this.crashes = 0; // Consecutive crashes, drives the backoff
+    this.addresses = null; // What the first ready worker bound
+    this.reloading = null;
+    this.stopping = null;
+  }
+
+  /**
+   * Fork every worker; resolves once they all listen and have run their STARTUP hooks
+   */
+  start() {
+    cluster.on('exit', (worker, code, signal) => this.exited(worker, code, signal));
+    return Promise.all(Array.from({ length: this.size }, () => this.fork()));
+  }
+
+  /**
+   * Fork one worker; resolves with it once it is ready, or null if it exits first
+   */
+  fork(probe = false) {
+    const worker = cluster.fork();
+    if (probe) {
+      this.probes.add(worker);
+    }
+
+    return new Promise((resolve) => {
+      const ready = (message) => {
+        if (!message || message.type !== WORKER_READY) {
+          return;
+        }
+        worker.off('message', ready);
+        this.addresses = this.addresses || message.addresses;
+        this.probes.delete(worker);
+        this.workers.set(worker, Date.now());
+        this.router.emit('online', worker);
+        resolve(worker);
+      };
+      worker.on('message', ready);
+      worker.once('exit', () => resolve(null));
+    });
+  }
+
+  /**
+   * Restart workers that exit on their own, waiting longer after each quick crash
+   */
+  exited(worker, code, signal) {
+    const started = this.workers.get(worker);
+    this.workers.delete(worker);
+    if (this.retiring.delete(worker) || this.probes.delete(worker) || this.stopping) {
+      return;
+    }
+
+    this.crashes = started && Date.now() - started >= WORKER_STABLE_AFTER ? 1 : this.crashes + 1;
+    const delay = Math.min(this.restartDelay * 2 ** (this.crashes - 1), this.maxRestartDelay);
+    console.error(`Worker ${worker.process.pid} exited (${signal || code}), restarting in ${delay}ms`);
+    this.router.emit('crash', { worker, code, signal, delay });
+
+    const timer = setTimeout(() => {
+      this.restarts.delete(timer);
+      this.fork();
+    }, delay);
+    this.restarts.add(timer);
+  }
+
+  /**
+   * Rolling reload: start a replacement, wait until it is ready, then drain the
+   * worker it replaces. A replacement that dies before that (broken code)
+   * aborts the reload and leaves the current workers serving.
+   */
+  reload() {
+    if (!this.reloading) {
+      this.reloading = (async () => {
+        for (const worker of [...this.workers.keys()]) {
+          if (this.stopping) {
+            return;
+          }
+          if (!this.workers.has(worker)) {
+            continue; // Crashed meanwhile, its restart already runs the new code
+          }
+          if (!await this.fork(true)) {
+            console.error('Reload aborted: a new worker exited before it was ready');
+            return;
+          }
+          await this.retire(worker);
+        }
+        this.router.emit('reloaded');
+      })().finally(() => {
+        this.reloading = null;
+      });
+    }
+    return this.reloading;
+  }
+
+  /**
+   * Ask a worker to shut down gracefully (it drains for up to shutdownTimeout),
+   * killing it if it is still around twice that long after. The request goes
+   * over IPC, so it works whether or not the worker handles signals.
+   */
+  retire(worker) {
+    this.retiring.add(worker);
+    if (worker.isDead()) {
+      this.retiring.delete(worker);
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => worker.process.kill('SIGKILL'), this.shutdownTimeout * 2);
+      worker.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      if (worker.isConnected()) {
+        worker.send({ type: WORKER_SHUTDOWN });
+      } else {
+        worker.process.kill('SIGTERM');
+      }
+    });
+  }
+
+  /**
+   * Stop restarting and drain every worker
+   */
+  stop() {
+    if (!this.stopping) {
+      for (const timer of this.restarts) {
+        clearTimeout(timer);
+      }
+      this.restarts.clear();
+      const workers = [...this.workers.keys(), ...this.probes];
+      this.stopping = Promise.all(workers.map(worker => this.retire(worker)));
+    }
+    return this.stopping;
+  }
+}
@@ -44,9 +44,34 @@ export const STATUS_INTERNAL_SERVER_ERROR = 500;
 // Error messages
 export const URL_ERROR_MESSAGE = 'Malformed route detected, all routes must start with a `/`';
 
+// Graceful shutdown
+export const DEFAULT_SHUTDOWN_TIMEOUT = 10000; // ms before remaining connections are destroyed
+export const MIN_SHUTDOWN_HOOK_TIME = 100; // ms SHUTDOWN hooks still get once draining used up the timeout
+export const WS_GOING_AWAY = 1001; // WebSocket close code sent to clients on shutdown
+
+// Cluster mode (listen({ workers }))
+export const WORKER_RESTART_DELAY = 100; // ms before the first restart of a crashed worker, doubled per crash
+export const WORKER_MAX_RESTART_DELAY = 30000; // ms cap of the restart backoff
+export const WORKER_STABLE_AFTER = 5000; // ms a worker must stay up to reset the backoff
+export const WORKER_READY = 'routerling:ready'; // Sent to the primary once a worker listens and has started up
+export const WORKER_SHUTDOWN = 'routerling:shutdown'; // Sent to a worker the primary retires
+
 // Wildcards
 export const WILDCARD = '*';
 
+// Trailing slash policies (Router option `trailingSlash`)
+export const TRAILING_SLASH_IGNORE = 'ignore';
+export const TRAILING_SLASH_STRICT = 'strict';
+export const TRAILING_SLASH_ADD = 'redirect-add';
+export const TRAILING_SLASH_REMOVE = 'redirect-remove';
+
+export const TRAILING_SLASH_POLICIES = [
+  TRAILING_SLASH_IGNORE,
+  TRAILING_SLASH_STRICT,
+  TRAILING_SLASH_ADD,
+  TRAILING_SLASH_REMOVE
+];
+
 // Template errors
 export const NO_TEMPLATING = 'NO_TEMPLATING';
 export const ASYNC_RENDER = 'ASYNC_RENDER';
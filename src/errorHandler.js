@@ -52,9 +52,12 @@ export class NotFoundError extends HttpError {
 }
 
 export class MethodNotAllowedError extends HttpError {
-  constructor(message = 'Method Not Allowed', details = null) {
+  constructor(message = 'Method Not Allowed', details = null, allowed = []) {
     super(message, 405, details);
     this.name = 'MethodNotAllowedError';
+    this.allowed = allowed;
+    // Headers the router copies onto the error response
+    this.headers = allowed.length ? { allow: allowed.join(', ') } : {};
   }
 }
 
@@ -100,6 +103,13 @@ export class ServiceUnavailableError extends HttpError {
   }
 }
 
+export class GatewayTimeoutError extends HttpError {
+  constructor(message = 'Gateway Timeout', details = null) {
+    super(message, 504, details);
+    this.name = 'GatewayTimeoutError';
+  }
+}
+
 /**
  * Error handler middleware factory
  */
@@ -153,8 +163,7 @@ export function errorHandler(options = {}) {
     }
 
     // Send error response
-    res.status = statusCode;
-    res.json(errorResponse);
+    res.json(errorResponse, statusCode);
   };
 }
 
@@ -27,3 +27,17 @@ export class UrlDuplicateError extends Error {
     this.name = 'UrlDuplicateError';
   }
 }
+
+export class HandlerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HandlerError';
+  }
+}
+
+export class MountError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MountError';
+  }
+}
@@ -2,26 +2,87 @@
  * Route Group for organizing routes with shared prefixes and interceptors
  */
 export class RouteGroup {
-  constructor(router, prefix = '') {
+  /**
+   * @param {object} options - { timeout: ms for the group's routes, unless a route sets its own }
+   * @param {RouteGroup} parent - Enclosing group, whose param loaders apply here too
+   */
+  constructor(router, prefix = '', options = {}, parent = null) {
     this.router = router;
     this.prefix = prefix;
+    this.options = options;
     this.interceptors = [];
+    this.parent = parent;
+    this.loaders = new Map(); // Param name -> loader registered on this group
   }
 
   /**
    * Add an interceptor (wrapper) to this group
-   * Interceptors are wrappers that take a handler and return a handler
+   * Interceptors are wrappers that take a handler and return a handler.
+   * An AROUND-style middleware (req, res, ctx, next) is accepted too and wraps each route of the group.
    */
   use(interceptor) {
+    if (interceptor.length >= 4) {
+      const around = interceptor;
+      interceptor = (handler) => (req, res, ctx) => around(req, res, ctx, () => handler(req, res, ctx));
+    }
     this.interceptors.push(interceptor);
     return this;
   }
 
   /**
-   * Create a subgroup
+   * Add around middleware for a pattern under this group's prefix
+   */
+  AROUND(pattern, handler, subdomain) {
+    this.router.AROUND(this.prefix + pattern, handler, subdomain);
+    return this;
+  }
+
+  /**
+   * Register a param loader (see Router.param) for this group's routes and its subgroups'.
+   * It takes precedence over a router loader of the same name.
+   */
+  param(name, loader) {
+    if (typeof loader !== 'function') {
+      throw new TypeError('Param loader must be a function');
+    }
+    this.loaders.set(name, loader);
+    return this;
+  }
+
+  /**
+   * The loaders the group's routes see: this group's, then its parents', then the router's.
+   * Looked up per request (a Map-like get/size), so loaders registered after the routes apply too.
    */
-  group(prefix) {
-    const subgroup = new RouteGroup(this.router, this.prefix + prefix);
+  _paramLoaders() {
+    const chain = [];
+    for (let group = this; group; group = group.parent) {
+      chain.push(group.loaders);
+    }
+    chain.push(this.router._paramLoaders);
+    return {
+      get size() {
+        return chain.reduce((total, loaders) => total + loaders.size, 0);
+      },
+      get(name) {
+        const owner = chain.find(loaders => loaders.has(name));
+        return owner && owner.get(name);
+      }
+    };
+  }
+
+  /**
+   * Add a FINALLY hook for a pattern under this group's prefix
+   */
+  FINALLY(pattern, handler, subdomain) {
+    this.router.FINALLY(this.prefix + pattern, handler, subdomain);
+    return this;
+  }
+
+  /**
+   * Create a subgroup; it inherits the group's options
+   */
+  group(prefix, options = {}) {
+    const subgroup = new RouteGroup(this.router, this.prefix + prefix, { ...this.options, ...options }, this);
     // Inherit interceptors from parent
     subgroup.interceptors = [...this.interceptors];
     return subgroup;
@@ -29,15 +90,26 @@ export class RouteGroup {
 
   /**
    * Register a route with the router
+   * Accepts (path, handler, subdomain?) or (path, [middleware...], handler, subdomain?);
+   * subdomain may be route options ({ subdomain, name, timeout })
    */
-  _register(method, path, handler, subdomain) {
+  _register(method, path, ...args) {
+    // Inline middleware runs before the handler, outside the group's interceptors
+    const middleware = Array.isArray(args[0]) ? args.shift() : [];
+    let [handler, subdomain] = args;
+
+    // The group's timeout unless the route sets its own; the group's param loaders
+    const options = subdomain && typeof subdomain === 'object' ? subdomain : { subdomain };
+    subdomain = { timeout: this.options.timeout, ...options, loaders: this._paramLoaders() };
+
     // Combine prefix and path
     const fullPath = this.prefix + path;
 
     // Apply interceptors (right-to-left / bottom-to-top)
     // We reverse so the last added interceptor runs "first" (outermost wrapper)
     // This matches the .use().use() chaining order where first .use() is outer
-    let wrappedHandler = handler;
+    // String references are resolved first so interceptors wrap a function
+    let wrappedHandler = this.router._resolveHandler(handler);
 
     // Apply interceptors in reverse order (stacking them)
     // .use(A).use(B) -> A(B(handler))
@@ -51,21 +123,21 @@ export class RouteGroup {
     // Looking at router.js, _register is used by GET/POST/etc.
     // Let's use the public method name dynamic call which is safer if _register implementation changes
     if (this.router[method]) {
-      this.router[method](fullPath, wrappedHandler, subdomain);
+      this.router[method](fullPath, middleware, wrappedHandler, subdomain);
     } else {
       // Fallback for methods that might not be directly exposed or future methods
       // Assuming _register exists as it is the internal mechanism
-      this.router._register(method, fullPath, wrappedHandler, subdomain);
+      this.router._register(method, fullPath, middleware, wrappedHandler, subdomain);
     }
     return this;
   }
 
   // HTTP methods
-  GET(path, handler, subdomain) { return this._register('GET', path, handler, subdomain); }
-  POST(path, handler, subdomain) { return this._register('POST', path, handler, subdomain); }
-  PUT(path, handler, subdomain) { return this._register('PUT', path, handler, subdomain); }
-  PATCH(path, handler, subdomain) { return this._register('PATCH', path, handler, subdomain); }
-  DELETE(path, handler, subdomain) { return this._register('DELETE', path, handler, subdomain); }
-  HEAD(path, handler, subdomain) { return this._register('HEAD', path, handler, subdomain); }
-  OPTIONS(path, handler, subdomain) { return this._register('OPTIONS', path, handler, subdomain); }
+  GET(path, ...args) { return this._register('GET', path, ...args); }
+  POST(path, ...args) { return this._register('POST', path, ...args); }
+  PUT(path, ...args) { return this._register('PUT', path, ...args); }
+  PATCH(path, ...args) { return this._register('PATCH', path, ...args); }
+  DELETE(path, ...args) { return this._register('DELETE', path, ...args); }
+  HEAD(path, ...args) { return this._register('HEAD', path, ...args); }
+  OPTIONS(path, ...args) { return this._register('OPTIONS', path, ...args); }
 }
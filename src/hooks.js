@@ -0,0 +1,145 @@
+/**
+ * Hook pattern trie used to resolve BEFORE/AROUND/AFTER/FINALLY chains
+ */
+import { isParam, hasTrailingSlash } from './utils.js';
+
+/**
+ * One segment of the trie: literal children by segment, plus a single param child
+ */
+class HookNode {
+  constructor() {
+    this.children = new Map();
+    this.param = null;
+    this.exact = []; // Patterns that end at this node
+    this.prefix = []; // '/.../*' patterns: this node and everything below it
+  }
+
+  /**
+   * Get or create the child for a pattern segment (':name' segments share the param child)
+   */
+  child(segment) {
+    if (segment.startsWith(':')) {
+      this.param = this.param || new HookNode();
+      return this.param;
+    }
+    if (!this.children.has(segment)) {
+      this.children.set(segment, new HookNode());
+    }
+    return this.children.get(segment);
+  }
+}
+
+/**
+ * Order matched entries by registration and flatten them to { pattern, handler }
+ */
+function flatten(entries) {
+  return entries
+    .sort((a, b) => a.order - b.order)
+    .flatMap(({ pattern, handlers }) => handlers.map(handler => ({ pattern, handler })));
+}
+
+/**
+ * Hook patterns compiled into a trie keyed like RouteNode, with the same
+ * semantics as Routes.matchesPattern: '/api/*' covers /api and everything below,
+ * ':name' segments match any segment, and in strict mode the trailing slash must agree.
+ * Hooks come out in registration order (grouped by pattern, as registered).
+ */
+export class HookTrie {
+  /**
+   * @param {Map<string, Function[]>} hooks - pattern -> handlers, in registration order
+   * @param {boolean} strict - whether the router's trailingSlash policy is 'strict'
+   */
+  constructor(hooks, strict = false) {
+    this.root = new HookNode();
+    this.strict = strict;
+
+    let order = 0;
+    for (const [pattern, handlers] of hooks) {
+      const wildcard = pattern.endsWith('/*');
+      const base = wildcard ? pattern.slice(0, -2) : pattern;
+
+      let node = this.root;
+      for (const segment of base.split('/').filter(Boolean)) {
+        node = node.child(segment);
+      }
+      const entry = { order: order++, pattern, handlers, slash: hasTrailingSlash(pattern) };
+      (wildcard ? node.prefix : node.exact).push(entry);
+    }
+  }
+
+  /**
+   * Exact-pattern entries at a node that apply to a path with or without a trailing slash
+   */
+  exact(node, slash) {
+    return this.strict ? node.exact.filter(entry => entry.slash === slash) : node.exact;
+  }
+
+  /**
+   * Hooks that apply to a concrete request path
+   */
+  match(path) {
+    const found = [];
+    this.walk(this.root, path.split('/').filter(Boolean), 0, hasTrailingSlash(path), found);
+    return flatten(found);
+  }
+
+  walk(node, segments, index, slash, found) {
+    found.push(...node.prefix);
+    if (index === segments.length) {
+      found.push(...this.exact(node, slash));
+      return;
+    }
+
+    const literal = node.children.get(segments[index]);
+    if (literal) {
+      this.walk(literal, segments, index + 1, slash, found);
+    }
+    if (node.param) {
+      this.walk(node.param, segments, index + 1, slash, found);
+    }
+  }
+
+  /**
+   * Hooks that apply to every path a route template serves, or null when that
+   * depends on the concrete path (a literal pattern below a route param,
+   * patterns below a catch-all, optional segments)
+   */
+  resolve(route) {
+    const segments = route.split('/').filter(Boolean);
+    if (segments.some(segment => isParam(segment)[4])) {
+      return null;
+    }
+
+    const found = [];
+    return this.walkRoute(this.root, segments, 0, hasTrailingSlash(route), found) ? flatten(found) : null;
+  }
+
+  walkRoute(node, segments, index, slash, found) {
+    found.push(...node.prefix);
+    if (index === segments.length) {
+      found.push(...this.exact(node, slash));
+      return true;
+    }
+
+    const segment = segments[index];
+
+    // A catch-all serves any remaining path: only the prefix patterns above it are certain
+    if (segment.startsWith('*')) {
+      return node.children.size === 0 && !node.param;
+    }
+
+    // A route param serves any value, so literal patterns here would only sometimes apply
+    if (isParam(segment)[1]) {
+      if (node.children.size > 0) {
+        return false;
+      }
+      return !node.param || this.walkRoute(node.param, segments, index + 1, slash, found);
+    }
+
+    const literal = node.children.get(segment);
+    if (literal && !this.walkRoute(literal, segments, index + 1, slash, found)) {
+      return false;
+    }
+    return !node.param || this.walkRoute(node.param, segments, index + 1, slash, found);
+  }
+}
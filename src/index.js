@@ -31,6 +31,9 @@ export { etag, generateETag, matchETag } from './etag.js';
 export { logger, Logger } from './logger.js';
 export { flash } from './flash.js';
 
+// Export route introspection
+export { collectRoutes, formatRoutes } from './introspect.js';
+
 // Export utilities
 export { Lookup, preprocessor, parseQueryString, coerceType } from './utils.js';
 
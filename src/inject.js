@@ -0,0 +1,148 @@
+import { Readable, Writable } from 'stream';
+
+/**
+ * Synthetic IncomingMessage used by Router.inject
+ */
+export class InjectedRequest extends Readable {
+  constructor(options = {}) {
+    super();
+    this.method = (options.method || 'GET').toUpperCase();
+    this.url = options.url || '/';
+    this.headers = {};
+    this.httpVersion = '1.1';
+
+    for (const [key, value] of Object.entries(options.headers || {})) {
+      this.headers[key.toLowerCase()] = value;
+    }
+    if (!this.headers.host) {
+      this.headers.host = 'localhost';
+    }
+
+    let payload = options.body;
+    if (payload !== undefined && payload !== null && typeof payload !== 'string' && !Buffer.isBuffer(payload)) {
+      payload = JSON.stringify(payload);
+      if (!this.headers['content-type']) {
+        this.headers['content-type'] = 'application/json';
+      }
+    }
+    this._payload = payload === undefined || payload === null ? null : Buffer.from(payload);
+    if (this._payload && !this.headers['content-length']) {
+      this.headers['content-length'] = String(this._payload.length);
+    }
+
+    // Mimic the socket fields Request reads (ip, scheme, server)
+    const socket = {
+      remoteAddress: options.remoteAddress || '127.0.0.1',
+      encrypted: false,
+      address: () => ({ address: '127.0.0.1', port: 0 })
+    };
+    this.socket = socket;
+    this.connection = socket;
+  }
+
+  _read() {
+    if (this._payload) {
+      this.push(this._payload);
+      this._payload = null;
+    }
+    this.push(null);
+  }
+}
+
+/**
+ * Synthetic ServerResponse that collects everything written to it
+ */
+export class InjectedResponse extends Writable {
+  constructor() {
+    super();
+    this.statusCode = 200;
+    this.headersSent = false;
+    this._headers = {};
+    this._chunks = [];
+  }
+
+  setHeader(name, value) {
+    this._headers[name.toLowerCase()] = value;
+    return this;
+  }
+
+  getHeader(name) {
+    return this._headers[name.toLowerCase()];
+  }
+
+  getHeaders() {
+    return { ...this._headers };
+  }
+
+  hasHeader(name) {
+    return name.toLowerCase() in this._headers;
+  }
+
+  removeHeader(name) {
+    delete this._headers[name.toLowerCase()];
+  }
+
+  writeHead(statusCode, headers = {}) {
+    this.statusCode = statusCode;
+    for (const [name, value] of Object.entries(headers)) {
+      this.setHeader(name, value);
+    }
+    this.headersSent = true;
+    return this;
+  }
+
+  _write(chunk, encoding, callback) {
+    this.headersSent = true;
+    this._chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+    callback();
+  }
+
+  /**
+   * Ending twice is a no-op, just like http.ServerResponse
+   */
+  end(chunk, encoding, callback) {
+    if (this.writableEnded) {
+      return this;
+    }
+    this.headersSent = true;
+    if (chunk === undefined || chunk === null) {
+      return super.end(encoding, callback);
+    }
+    return super.end(typeof chunk === 'number' ? String(chunk) : chunk, encoding, callback);
+  }
+
+  get payload() {
+    return Buffer.concat(this._chunks);
+  }
+}
+
+/**
+ * Run a synthetic request through a router without binding a socket.
+ * Resolves once the response has been fully written (including streamed files).
+ */
+export async function inject(router, options = {}) {
+  if (typeof options === 'string') {
+    options = { url: options };
+  }
+
+  const req = new InjectedRequest(options);
+  const res = new InjectedResponse();
+  const finished = new Promise((resolve, reject) => {
+    res.on('finish', resolve);
+    res.on('error', reject);
+  });
+
+  await router.handle(req, res);
+  await finished;
+
+  const payload = res.payload;
+  return {
+    status: res.statusCode,
+    headers: res.getHeaders(),
+    body: payload.toString(),
+    raw: payload,
+    json() {
+      return JSON.parse(payload.toString());
+    }
+  };
+}
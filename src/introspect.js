@@ -0,0 +1,123 @@
+/**
+ * Route table introspection for Router.routes() and Router.printRoutes()
+ */
+import { METHODS } from './constants.js';
+
+/**
+ * Name a hook/handler for display purposes
+ */
+function labelOf(fn) {
+  return (fn && fn.name) || '<anonymous>';
+}
+
+/**
+ * Describe a matched hook as { pattern, name, handler }
+ */
+function describe({ pattern, handler }) {
+  return { pattern, name: labelOf(handler), handler };
+}
+
+/**
+ * Collect a structured description of everything a router serves.
+ *
+ * Each entry is { kind, method, path, subdomain, name, middleware, befores, arounds, afters, finals, schema, root }
+ * where kind is 'http', 'static' or 'ws' and middleware lists the route's inline
+ * middleware as { name, handler }.
+ *
+ * @param {Router} router
+ * @returns {Array<object>}
+ */
+export function collectRoutes(router) {
+  const names = new Map();
+  for (const [name, { route, subdomain }] of router._names.entries()) {
+    names.set(`${subdomain}|${route}`, name);
+  }
+
+  const assets = new Map();
+  for (const asset of router._assets) {
+    assets.set(`${asset.subdomain}|${asset.path}`, asset.root);
+  }
+
+  const entries = [];
+
+  for (const [subdomain, engine] of router.subdomains) {
+    const rows = [];
+
+    for (const method of METHODS) {
+      for (const [route, endpoint] of engine.cache.get(method).entries()) {
+        const { befores, arounds, afters, finals } = engine.hooksFor(route);
+        const root = method === 'GET' ? assets.get(`${subdomain}|${route}`) : undefined;
+
+        rows.push({
+          kind: root ? 'static' : 'http',
+          method,
+          path: route,
+          subdomain,
+          name: names.get(`${subdomain}|${route}`) || null,
+          middleware: (endpoint.middleware || []).map(handler => ({ name: labelOf(handler), handler })),
+          befores: befores.map(describe),
+          arounds: arounds.map(describe),
+          afters: afters.map(describe),
+          finals: finals.map(describe),
+          schema: router._metadata.get(`${method}|${subdomain}|${route}`) || null,
+          root: root || null
+        });
+      }
+    }
+
+    // Group by path, keeping METHODS order within a path
+    rows.sort((a, b) => a.path.localeCompare(b.path) || METHODS.indexOf(a.method) - METHODS.indexOf(b.method));
+    entries.push(...rows);
+  }
+
+  if (router._wsRoutes) {
+    for (const [subdomain, routes] of router._wsRoutes) {
+      for (const route of routes.keys()) {
+        entries.push({
+          kind: 'ws',
+          method: 'WS',
+          path: route,
+          subdomain,
+          name: null,
+          middleware: [],
+          befores: [],
+          arounds: [],
+          afters: [],
+          finals: [],
+          schema: null,
+          root: null
+        });
+      }
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Render a route list (from collectRoutes) as an aligned text table
+ *
+ * @param {Array<object>} routes
+ * @returns {string}
+ */
+export function formatRoutes(routes) {
+  const header = ['METHOD', 'SUBDOMAIN', 'PATH', 'NAME', 'MIDDLEWARE', 'BEFORE', 'AROUND', 'AFTER', 'SCHEMA'];
+  const hooks = (list) => list.length ? list.map(hook => `${hook.name}(${hook.pattern})`).join(', ') : '-';
+
+  const rows = routes.map(route => [
+    route.method,
+    route.subdomain,
+    route.root ? `${route.path} -> ${route.root}` : route.path,
+    route.name || '-',
+    route.middleware.length ? route.middleware.map(({ name }) => name).join(', ') : '-',
+    hooks(route.befores),
+    hooks(route.arounds),
+    hooks(route.afters),
+    route.schema ? (route.schema.summary || 'yes') : '-'
+  ]);
+
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const line = (cells) => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  return [line(header), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+}
@@ -0,0 +1,111 @@
+/**
+ * Resolution of string handler references ('./handlers/users.js:show') by dynamic import
+ */
+import path from 'path';
+import fs from 'fs/promises';
+import { pathToFileURL } from 'url';
+import { HandlerError } from './errors.js';
+
+// A module path, then an optional ':exportName' (the default export otherwise)
+const REFERENCE = /^(.+?)(?::([A-Za-z_$][\w$]*))?$/;
+
+/**
+ * Turns string references into handler functions, resolved relative to a root
+ * directory. Each reference becomes one stable function that imports its module
+ * on first call (lazy) or when check() runs with eager loading.
+ */
+export class HandlerLoader {
+  /**
+   * @param {string} root - Directory references are resolved against (defaults to the working directory)
+   * @param {boolean} eager - Import every module in check() instead of on first hit
+   */
+  constructor(root = process.cwd(), eager = false) {
+    this.root = path.resolve(root);
+    this.eager = eager;
+    this.references = new Map(); // reference -> { file, exportName, handler, loaded, loading, checked }
+  }
+
+  /**
+   * Split a reference into its absolute file path and export name
+   */
+  parse(reference) {
+    const match = REFERENCE.exec(reference.trim());
+    if (!match) {
+      throw new HandlerError(`Invalid handler reference '${reference}' - expected './path/to/module.js:exportName'`);
+    }
+    return { file: path.resolve(this.root, match[1]), exportName: match[2] || 'default' };
+  }
+
+  /**
+   * Get the handler function for a reference. The same reference always yields the same function.
+   */
+  handler(reference) {
+    const known = this.references.get(reference);
+    if (known) {
+      return known.handler;
+    }
+
+    const entry = { ...this.parse(reference), loaded: null, loading: null, checked: false };
+    const loader = this;
+    entry.handler = function (...args) {
+      if (entry.loaded) {
+        return entry.loaded.apply(this, args);
+      }
+      return loader.load(reference).then(fn => fn.apply(this, args));
+    };
+    Object.defineProperty(entry.handler, 'name', { value: reference });
+    this.references.set(reference, entry);
+    return entry.handler;
+  }
+
+  /**
+   * Import the module behind a reference and return its export.
+   * Failed imports are not cached, so a fixed module is picked up on the next call.
+   */
+  load(reference) {
+    const entry = this.references.get(reference);
+    if (entry.loaded) {
+      return Promise.resolve(entry.loaded);
+    }
+    if (!entry.loading) {
+      entry.loading = import(pathToFileURL(entry.file).href).then((module) => {
+        const fn = module[entry.exportName];
+        if (typeof fn !== 'function') {
+          throw new HandlerError(`Handler '${reference}': ${entry.file} has no exported function '${entry.exportName}'`);
+        }
+        entry.loaded = fn;
+        return fn;
+      }, (error) => {
+        throw new HandlerError(`Handler '${reference}': cannot import ${entry.file} (${error.message})`);
+      }).finally(() => {
+        entry.loading = null;
+      });
+    }
+    return entry.loading;
+  }
+
+  /**
+   * Check every reference registered since the last check: the module must exist,
+   * and with eager loading it is imported and its export verified.
+   * Throws one HandlerError listing every broken reference.
+   */
+  async check() {
+    const problems = [];
+    for (const [reference, entry] of this.references) {
+      if (entry.checked) continue;
+      try {
+        if (this.eager) {
+          await this.load(reference);
+        } else {
+          await fs.access(entry.file);
+        }
+        entry.checked = true;
+      } catch (error) {
+        problems.push(error instanceof HandlerError ? error.message : `Handler '${reference}': ${entry.file} does not exist`);
+      }
+    }
+    if (problems.length > 0) {
+      throw new HandlerError(`Cannot resolve ${problems.length} handler reference(s):\n  ${problems.join('\n  ')}`);
+    }
+  }
+}
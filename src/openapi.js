@@ -1,15 +1,17 @@
 /**
  * Utility for generating OpenAPI 3.0 specification from Routerling metadata.
  */
+import { isParam, canonicalizeSlash } from './utils.js';
 
 /**
  * Generates an OpenAPI 3.0 specification object.
  * 
  * @param {Map} metadata - The _metadata map from Router
- * @param {object} options - Info object (title, version, etc.)
+ * @param {object} options - Info object (title, version, etc.) and the router's trailingSlash policy
+ * @param {Map} paramTypes - The _paramTypes registry from Router (for typed params)
  * @returns {object} OpenAPI specification
  */
-export function generateOpenApiSpec(metadata, options = {}) {
+export function generateOpenApiSpec(metadata, options = {}, paramTypes = new Map()) {
   const spec = {
     openapi: '3.0.0',
     info: {
@@ -24,8 +26,8 @@ export function generateOpenApiSpec(metadata, options = {}) {
     const [method, subdomain, path] = key.split('|');
     const openApiMethod = method.toLowerCase();
 
-    // Convert /path/:id to /path/{id}
-    const openApiPath = path.replace(/:([a-zA-Z0-9_]+)/g, '{$1}');
+    // Convert /path/:id to /path/{id}, documenting the form the router serves
+    const openApiPath = toOpenApiPath(canonicalizeSlash(path, options.trailingSlash));
 
     if (!spec.paths[openApiPath]) {
       spec.paths[openApiPath] = {};
@@ -40,16 +42,17 @@ export function generateOpenApiSpec(metadata, options = {}) {
     };
 
     // Extract path parameters
-    const pathParams = path.match(/:([a-zA-Z0-9_]+)/g);
-    if (pathParams) {
-      pathParams.forEach(param => {
-        operation.parameters.push({
-          name: param.substring(1),
-          in: 'path',
-          required: true,
-          schema: { type: 'string' }
-        });
-      });
+    for (const segment of path.split('/')) {
+      const [, paramName, typeHint, pattern] = isParam(segment);
+      const name = paramName || (segment.length > 1 && segment.startsWith('*') ? segment.slice(1) : null);
+      if (name) {
+        const typed = typeHint && paramTypes.get(typeHint);
+        const schema = typed ? { ...typed.schema } : { type: 'string' };
+        if (pattern) {
+          schema.pattern = `^(?:${pattern})$`;
+        }
+        operation.parameters.push({ name, in: 'path', required: true, schema });
+      }
     }
 
     // Request Body
@@ -137,3 +140,17 @@ function toSchema(validator) {
   // 5. Fallback for unknown / generic objects
   return { type: 'object' };
 }
+
+/**
+ * Convert a route pattern to an OpenAPI path template
+ * e.g. /users/:id(\d+) -> /users/{id}, /files/*path -> /files/{path}
+ */
+function toOpenApiPath(path) {
+  return path.split('/').map(segment => {
+    if (segment.length > 1 && segment.startsWith('*')) {
+      return `{${segment.slice(1)}}`;
+    }
+    const [, paramName] = isParam(segment);
+    return paramName ? `{${paramName}}` : segment;
+  }).join('/');
+}
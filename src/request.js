@@ -1,5 +1,5 @@
 import { Form, parseUrlEncoded } from './form.js';
-import { parseQueryString } from './utils.js';
+import { parseQueryString, rawPathname } from './utils.js';
 import { parse as parseCookies } from 'cookie';
 
 /**
@@ -17,18 +17,20 @@ export class Request {
     this._subdomain = metadata ? metadata[0] : null;
     this._headers = metadata ? metadata[1] : req.headers;
     this._params = {};
+    this._path = null; // Decoded, normalised path set by Router.handle
     this._queries = null;
     this._dirty = false;
     this._queried = false;
     this._mountedFromApplication = null;
     this._bodyParsed = false;
+    this._abort = null; // AbortController behind signal, created on first use
   }
 
   /**
-   * Get the application instance
+   * Get the application instance: the isolated mounted app serving the request, else the router
    */
   get app() {
-    return this._application;
+    return this._mountedFromApplication || this._application;
   }
 
   /**
@@ -150,6 +152,29 @@ export class Request {
     this._mountedFromApplication = value;
   }
 
+  /**
+   * Get the AbortSignal that fires when the route's timeout expires (its reason is the timeout error)
+   */
+  get signal() {
+    this._abort = this._abort || new AbortController();
+    return this._abort.signal;
+  }
+
+  /**
+   * Abort the work of this request, firing signal
+   */
+  abort(reason) {
+    this._abort = this._abort || new AbortController();
+    this._abort.abort(reason);
+  }
+
+  /**
+   * Get the host parts captured by the vhost() pattern that matched, e.g. { tenant: 'acme' }
+   */
+  get hostParams() {
+    return this._req.hostParams || {};
+  }
+
   /**
    * Get route parameters
    */
@@ -199,10 +224,17 @@ export class Request {
   }
 
   /**
-   * Get request scheme
+   * Get request scheme: 'https' when the connection is TLS (HTTPS or HTTP/2), else 'http'
    */
   get scheme() {
-    return this._req.connection?.encrypted ? 'https' : 'http';
+    return this._req.socket?.encrypted ? 'https' : 'http';
+  }
+
+  /**
+   * Get the HTTP version the client spoke ('1.1', '2.0', ...)
+   */
+  get httpVersion() {
+    return this._req.httpVersion;
   }
 
   /**
@@ -213,18 +245,45 @@ export class Request {
   }
 
   /**
-   * Get request URL path
+   * Get the route template that matched (e.g. /users/:id), null until routing
+   */
+  get route() {
+    return this._route;
+  }
+
+  /**
+   * Set the matched route template
+   */
+  set route(value) {
+    this._route = value;
+  }
+
+  /**
+   * Get request URL path (percent-decoded and normalised once routing starts)
    */
   get url() {
-    const url = new URL(this._req.url, `http://${this._req.headers.host}`);
-    return url.pathname;
+    return this._path ?? this.rawPath;
+  }
+
+  /**
+   * Set the path the router matches, hooks and static files see
+   */
+  set url(path) {
+    this._path = path;
+  }
+
+  /**
+   * Get the request path exactly as the client sent it, still percent-encoded
+   */
+  get rawPath() {
+    return rawPathname(this._req.url);
   }
 
   /**
    * Get full URL
    */
   get fullUrl() {
-    return `${this.scheme}://${this._req.headers.host}${this._req.url}`;
+    return `${this.scheme}://${this._headers.host}${this._req.url}`;
   }
 
   /**
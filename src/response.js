@@ -20,6 +20,8 @@ export class Response {
     this._metadata = {};
     this._headers = {};
     this._status = STATUS_NOT_FOUND;
+    this._statusSet = false; // Whether a status was assigned explicitly
+    this._revision = 0; // Bumped by every status/body assignment
     this._template = null;
     this._mountedFromApplication = null;
     this._sent = false;
@@ -53,6 +55,7 @@ export class Response {
    * Set response body
    */
   set body(value) {
+    this._revision++;
     if (typeof value === 'object' && value !== null) {
       this._body = JSON.stringify(value);
       this.setHeader('content-type', 'application/json');
@@ -60,7 +63,8 @@ export class Response {
       this._body = String(value);
     }
 
-    if (this._status === 404) {
+    // Only promote the default "not found" status, never an explicit one
+    if (this._status === STATUS_NOT_FOUND && !this._statusSet) {
       this._status = 200;
     }
   }
@@ -76,7 +80,16 @@ export class Response {
    * Set response status
    */
   set status(value) {
+    this._revision++;
     this._status = value;
+    this._statusSet = true;
+  }
+
+  /**
+   * Number of times the status or body has been set, so callers can tell whether a step responded
+   */
+  get revision() {
+    return this._revision;
   }
 
   /**
@@ -138,22 +151,50 @@ export class Response {
    * Execute all deferred functions
    */
   async executeDeferredFunctions() {
-    for (const func of this._deferred) {
-      try {
-        if (typeof func === 'function') {
-          await func(this._app);
+    if (this._deferred.length === 0) {
+      return;
+    }
+    // Tracked by the router so a graceful shutdown waits for them
+    const run = (async () => {
+      for (const func of this._deferred) {
+        try {
+          if (typeof func === 'function') {
+            await func(this._app);
+          }
+        } catch (error) {
+          console.error('Error executing deferred function:', error);
         }
-      } catch (error) {
-        console.error('Error executing deferred function:', error);
       }
-    }
+    })();
+    return this._app && this._app._track ? this._app._track(run) : run;
+  }
+
+  /**
+   * Get the isolated mounted app serving the request, if any
+   */
+  get mounted() {
+    return this._mountedFromApplication;
+  }
+
+  /**
+   * Set the mounted app serving the request
+   */
+  set mounted(value) {
+    this._mountedFromApplication = value;
+  }
+
+  /**
+   * Templater for rendering: the mounted app's own, else the router's
+   */
+  get templater() {
+    return (this._mountedFromApplication && this._mountedFromApplication._templater) || this._app._templater;
   }
 
   /**
    * Render a template (synchronous)
    */
   renders(name, contexts = {}) {
-    const templater = this._app._templater;
+    const templater = this.templater;
     this.setHeader('content-type', 'text/html; charset=utf-8');
 
     if (!templater) {
@@ -181,7 +222,7 @@ export class Response {
    * Render a template (asynchronous)
    */
   async render(name, contexts = {}) {
-    const templater = this._app._templater;
+    const templater = this.templater;
     this.setHeader('content-type', 'text/html; charset=utf-8');
 
     if (!templater) {
@@ -214,6 +255,19 @@ export class Response {
     return this;
   }
 
+  /**
+   * Redirect to a named route
+   * @param {object} options - { query, permanent }
+   */
+  redirectTo(name, params = {}, options = {}) {
+    const location = this._app.url(name, params, {
+      query: options.query,
+      host: this._req.headers.host,
+      scheme: this._req.scheme
+    });
+    return this.redirect(location, options.permanent);
+  }
+
   /**
    * Send JSON response
    */
@@ -307,6 +361,12 @@ export class Response {
       return;
     }
 
+    // HEAD keeps every header (including the length) but never a body
+    const head = this._req?.method === 'HEAD';
+    if (head && this.getHeader('content-length') === undefined) {
+      this.setHeader('content-length', Buffer.byteLength(this._body ?? ''));
+    }
+
     this._res.statusCode = this._status;
 
     // Set headers
@@ -314,7 +374,7 @@ export class Response {
       this._res.setHeader(name, value);
     }
 
-    this._res.end(this._body);
+    this._res.end(head ? undefined : this._body);
     this._sent = true;
 
     // Execute deferred functions
@@ -410,6 +470,15 @@ export class Response {
           this._res.setHeader(name, value);
         }
 
+        if (this._req.method === 'HEAD') {
+          this._res.end();
+          this._sent = true;
+          setImmediate(() => {
+            this.executeDeferredFunctions();
+          });
+          return this;
+        }
+
         const stream = fs.createReadStream(fullPath);
         stream.pipe(this._res);
         this._sent = true;
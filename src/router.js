@@ -1,4 +1,8 @@
 import http from 'http';
+import https from 'https';
+import http2 from 'http2';
+import cluster from 'cluster';
+import { EventEmitter } from 'events';
 import { WebSocketServer } from 'ws';
 import { Routes } from './routes.js';
 import { Request } from './request.js';
@@ -7,15 +11,42 @@ import { Context } from './context.js';
 import { RouteGroup } from './group.js';
 import { Templater } from './templater.js';
 import { StaticFileHandler } from './static.js';
-import { Lookup, preprocessor, stringToFunctionHandler } from './utils.js';
-import { UrlError, SubdomainError } from './errors.js';
+import { HandlerLoader } from './loader.js';
+import { Supervisor } from './cluster.js';
+import {
+  Lookup,
+  preprocessor,
+  parseHost,
+  splitHost,
+  compileHostPattern,
+  rawPathname,
+  normalizePath,
+  reverse,
+  canonicalizeSlash,
+  stringToFunctionHandler,
+  defaultParamTypes,
+  normalizeParamType,
+  sameParamType
+} from './utils.js';
+import { inject } from './inject.js';
+import { collectRoutes, formatRoutes } from './introspect.js';
+import { createValidationInterceptor } from './validation.js';
+import { UrlError, UrlDuplicateError, SubdomainError, MountError } from './errors.js';
+import { BadRequestError } from './errorHandler.js';
 import {
   DEFAULT,
   WILDCARD,
   METHODS,
   STARTUP,
   SHUTDOWN,
-  INITIALIZATION_MESSAGE
+  INITIALIZATION_MESSAGE,
+  DEFAULT_SHUTDOWN_TIMEOUT,
+  MIN_SHUTDOWN_HOOK_TIME,
+  WS_GOING_AWAY,
+  WORKER_READY,
+  WORKER_SHUTDOWN,
+  TRAILING_SLASH_IGNORE,
+  TRAILING_SLASH_POLICIES
 } from './constants.js';
 
 /**
@@ -28,29 +59,159 @@ function getConfiguration(configurator = null) {
   return configurator || {};
 }
 
+/**
+ * Run a callback once the raw response has been flushed (or the connection closed)
+ */
+function onFlushed(res, callback) {
+  if (res.writableFinished) {
+    callback();
+    return;
+  }
+  let done = false;
+  const run = () => {
+    if (!done) {
+      done = true;
+      callback();
+    }
+  };
+  res.once('finish', run);
+  res.once('close', run);
+}
+
+/**
+ * Addresses listen() binds: options.addresses, else a unix socket (path) or port and host
+ */
+function bindings(options) {
+  const addresses = options.addresses || [options];
+  if (!Array.isArray(addresses) || addresses.length === 0) {
+    throw new TypeError('listen({ addresses }) expects a non-empty array of { port, host } or { path }');
+  }
+  return addresses.map(address => (address.path
+    ? { path: address.path }
+    : { port: address.port ?? 3000, host: address.host ?? options.host ?? 'localhost' }));
+}
+
+/**
+ * Bind a server to one address; resolves with server.address() (rejects on EADDRINUSE and the like)
+ */
+function bind(server, address) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(address, () => {
+      server.off('error', reject);
+      resolve(server.address());
+    });
+  });
+}
+
+/**
+ * Ask the client to drop a keep-alive connection once this response is done.
+ * HTTP/2 has no Connection header: its sessions are closed with a GOAWAY instead.
+ */
+function closeAfter(req, res) {
+  if (req && req.httpVersionMajor !== 2 && !res.headersSent) {
+    res.setHeader('connection', 'close');
+  }
+}
+
+/**
+ * GET handler serving files through a StaticFileHandler, 404 when nothing matches
+ */
+function staticRoute(staticHandler) {
+  return async (req, res) => {
+    const served = await staticHandler.serve(req, res);
+    if (!served) {
+      // Must perform 404 if not found
+      res.status = 404;
+      res.body = 'Not Found';
+    }
+  };
+}
+
+/**
+ * GET handler for the documentation UI (Scalar) reading the spec at jsonPath
+ */
+function docsPage(jsonPath, title) {
+  return (req, res) => {
+    const html = `
+<!doctype html>
+<html>
+  <head>
+    <title>${title || 'API Reference'}</title>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+  </head>
+  <body>
+    <script
+      id="api-reference"
+      data-url="${jsonPath}"></script>
+    <script src="https://cdn.jsdelivr.net/npm/@scalar/api-reference"></script>
+  </body>
+</html>`;
+    res.html(html);
+  };
+}
+
 /**
  * Main Router class - equivalent to Python heaven.router.Router
+ *
+ * Emits the shutdown progress of a listening server: 'shutdown' ({ signal, timeout }) when
+ * draining starts, 'drain' (a progress snapshot) as connections, requests, WebSockets and
+ * background tasks finish, 'timeout' (what was left) when the deadline cuts draining short,
+ * and 'drained' ({ elapsed, forced }) before the SHUTDOWN hooks run.
  */
-export class Router {
-  constructor(configurator = null) {
+export class Router extends EventEmitter {
+  /**
+   * @param {Function|object} configurator - Configuration (or a function returning it) read by CONFIG
+   * @param {object} options - { trailingSlash: 'ignore' | 'strict' | 'redirect-add' | 'redirect-remove',
+   *   handlerRoot: directory string handler references resolve against (default: the working directory),
+   *   eagerHandlers: import referenced modules at startup instead of on first hit,
+   *   baseDomains: domains subdomains are read against, e.g. ['example.co.uk'] (default: the last two labels),
+   *   timeout: ms a request may spend in hooks and handler before it fails (default: unbounded),
+   *   timeoutStatus: 504 (GatewayTimeoutError, default) or 503 (ServiceUnavailableError) for timed out requests }
+   */
+  constructor(configurator = null, options = {}) {
+    super();
+    this._options = { trailingSlash: TRAILING_SLASH_IGNORE, ...options };
+    if (!TRAILING_SLASH_POLICIES.includes(this._options.trailingSlash)) {
+      throw new TypeError(`trailingSlash must be one of ${TRAILING_SLASH_POLICIES.join(', ')}`);
+    }
+    this._options.baseDomains = (this._options.baseDomains || []).map(domain => domain.toLowerCase());
     this._ws = null;
     this.finalized = false;
     this.initializers = [];
     this.deinitializers = [];
+    this._paramTypes = defaultParamTypes(); // Shared by every Routes engine of this router
+    this._paramLoaders = new Map(); // Param name -> loader registered with param()
     this.subdomains = new Map();
-    this.subdomains.set(DEFAULT, new Routes());
+    this.subdomains.set(DEFAULT, new Routes(this._paramTypes, this._options));
     this._buckets = {};
     this._configuration = getConfiguration(configurator);
     this._templater = null;
-    this._loader = null;
-    this._daemons = [];
-    this._server = null;
-    this._loader = null;
+    this._loader = new HandlerLoader(this._options.handlerRoot, Boolean(this._options.eagerHandlers));
+    this._loaders = new Set([this._loader]); // Ours plus those of mounted routers, checked at startup
     this._daemons = [];
-    this._server = null;
+    this._primaryDaemons = new WeakSet(); // DAEMON(func, { primary: true }): cluster primary only
+    this._servers = []; // One per address listen() binds
     this._errorHandler = null;
     this._staticHandler = null;
     this._metadata = new Map(); // Store SCHEMA metadata
+    this._baked = new Set(); // SCHEMA keys already wrapped into their handlers
+    this._schemasBaked = false; // Routes added after the first bake are baked on arrival
+    this._names = new Map(); // Route name -> { route, subdomain }
+    this._assets = []; // Static mounts registered through ASSETS: { path, root, subdomain, options }
+    this._docs = []; // Documentation registered through DOCS: { path, jsonPath, subdomain, title, spec }
+    this._vhosts = []; // Hosts handed to other routers through vhost(): { pattern, match, router }
+    this._sockets = new Set(); // Open connections of the listening server
+    this._sessions = new Set(); // HTTP/2 sessions of the listening server
+    this._inflight = new Set(); // Raw responses not yet closed
+    this._tasks = new Set(); // Pending res.defer() work and async daemons
+    this._draining = false;
+    this._closing = null; // Promise of the running close()
+    this._shutdownTimeout = DEFAULT_SHUTDOWN_TIMEOUT;
+    this._supervisor = null; // Worker supervisor of a listen({ workers }) primary
+    this._processListeners = []; // [event, listener] added to process by listen(), removed by close()
+    this._calls = []; // Pending call()s of string references, awaited by _prepare()
   }
 
   /**
@@ -64,181 +225,794 @@ export class Router {
    * Main request handler - equivalent to Python's __call__
    */
   async handle(req, res) {
+    // Whole requests for a virtual host belong to its router
+    const vhost = this._vhostFor(req);
+    if (vhost) {
+      return vhost.handle(req, res);
+    }
+
+    let engine = null;
+    let request = null;
+    let context = null;
+    let response = null;
+    let failure = null;
+
     try {
       // Parse request metadata
-      const metadata = preprocessor(req);
+      const metadata = preprocessor(req, this._options.baseDomains);
       const subdomain = metadata[0];
 
       // Get the appropriate routing engine
       const wildcardEngine = this.subdomains.get(WILDCARD);
-      let engine = this.subdomains.get(subdomain);
+      engine = this.subdomains.get(subdomain);
       if (!engine) {
         engine = wildcardEngine || this.subdomains.get(DEFAULT);
       }
 
       // Create request, response, and context objects
-      const request = new Request(req, metadata, this);
-      const context = Context.createProxy(this);
-      const response = new Response(this, context, request, res);
+      request = new Request(req, metadata, this);
+      context = Context.createProxy(this);
+      response = new Response(this, context, request, res);
+
+      // Decode and normalise the path once: routing, hooks and static files all see the result
+      const path = normalizePath(request.rawPath);
+      if (path === null) {
+        throw new BadRequestError('Malformed URL path');
+      }
+      request.url = path;
 
       // Parse request body
       await request.parseBody();
 
       // Handle the request
       await engine.handle(request, response, metadata, this, context);
-
-      // Send the response
-      response.send();
     } catch (error) {
-      // Use custom error handler if set
-      if (this._errorHandler) {
+      failure = error;
+
+      // Errors get a fresh response but keep the request and context hooks have seen
+      request = request || new Request(req, preprocessor(req, this._options.baseDomains), this);
+      context = context || Context.createProxy(this);
+      response = new Response(this, context, request, res);
+      response.mounted = request.mounted;
+      if (error.headers) {
+        response.setHeaders(error.headers);
+      }
+
+      // An isolated mounted app handles its own errors, falling back to ours
+      const errorHandler = (request.mounted && request.mounted._errorHandler) || this._errorHandler;
+      if (errorHandler) {
         try {
-          const request = new Request(req, preprocessor(req), this);
-          const context = Context.createProxy(this);
-          const response = new Response(this, context, request, res);
-          await this._errorHandler(error, request, response, context);
-          response.send();
+          await errorHandler(error, request, response, context);
         } catch (handlerError) {
           console.error('Error in error handler:', handlerError);
-          if (!res.headersSent) {
-            res.statusCode = 500;
-            res.end('Internal Server Error');
-          }
+          response = new Response(this, context, request, res);
+          response.mounted = request.mounted;
+          response.status = 500;
+          response.body = 'Internal Server Error';
         }
       } else {
-        console.error('Request handling error:', error);
-        if (!res.headersSent) {
-          res.statusCode = error.statusCode || 500;
-          res.setHeader('Content-Type', 'application/json');
-          res.end(JSON.stringify({
-            error: {
-              message: error.message || 'Internal Server Error',
-              statusCode: error.statusCode || 500
-            }
-          }));
+        // Operational HttpErrors (404, 405, ...) are expected; only log the rest
+        if (!error.isOperational) {
+          console.error('Request handling error:', error);
         }
+        response.json({
+          error: {
+            message: error.message || 'Internal Server Error',
+            statusCode: error.statusCode || 500
+          }
+        }, error.statusCode || 500);
       }
     }
+
+    // FINALLY hooks run for every outcome, with the final status and the error (if any)
+    if (engine) {
+      await this._finally(engine, request, response, context, failure);
+    }
+
+    // Send the response
+    try {
+      response.send();
+    } catch (error) {
+      console.error('Error sending response:', error);
+      if (!res.headersSent) {
+        res.statusCode = 500;
+        res.end('Internal Server Error');
+      }
+    }
+
+    if (engine && engine.flushes.size > 0) {
+      onFlushed(res, () => this._finally(engine, request, response, context, failure, true));
+    }
   }
 
   /**
-   * Create HTTP server and start listening
+   * Run the FINALLY hooks of a request without letting anything escape handle().
+   * A request whose path cannot be determined (an unparseable target) matches no hooks.
+   */
+  async _finally(engine, request, response, context, failure, flushed = false) {
+    try {
+      const path = request.url;
+      if (path !== null) {
+        await engine.executeFinals(path, request, response, context, failure, flushed);
+      }
+    } catch (error) {
+      console.error('Error in FINALLY hook:', error);
+    }
+  }
+
+  /**
+   * Run a synthetic request through the full pipeline without a socket.
+   * Useful for tests: resolves with { status, headers, body }.
+   *
+   * @param {object|string} options - { method, url, headers, body } or a url
+   */
+  async inject(options = {}) {
+    await this._prepare();
+    return inject(this, options);
+  }
+
+  /**
+   * Get ready to serve: check string handlers, bake schemas and compile hooks,
+   * for this router and its virtual hosts
+   */
+  async _prepare() {
+    await this._settleCalls(); // Referenced setup functions may register routes and references
+    await this._checkHandlers(); // Fail fast on broken string handler references
+    await this._bakeSchemas(); // Automatic Baking Phase
+    this._compileHooks(); // Resolve hook chains once per route
+    for (const router of this._vhostRouters()) {
+      await router._prepare();
+    }
+  }
+
+  /**
+   * Create the server and start listening: listen(port, hostname, callback) or
+   * listen({ port, host, path, addresses, tls: { key, cert }, http2, allowHTTP1, shutdownTimeout, signals,
+   *   headersTimeout, requestTimeout, keepAliveTimeout }, callback).
+   * path binds a unix socket instead of port/host; addresses binds several at once
+   * ([{ port, host } | { path }], one server each).
+   * tls serves HTTPS; http2 (which needs tls) serves HTTP/2 and, unless allowHTTP1
+   * is false, HTTP/1.1 clients and WebSocket upgrades on the same port.
+   * SIGTERM, SIGINT, SIGHUP and SIGUSR2 close the server gracefully (see close())
+   * and exit, unless signals is false.
+   * With workers: n the primary forks n workers that share the port instead of
+   * listening itself (see _supervise()).
+   *
+   * @returns {Promise<object|string|Array>} once started up: the bound address
+   *   (server.address(), a path for unix sockets), or one per entry of addresses
    */
   listen(port = 3000, hostname = 'localhost', callback = null) {
-    this._server = http.createServer((req, res) => {
+    let options = { port, host: hostname };
+    if (port && typeof port === 'object') {
+      options = { port: 3000, host: 'localhost', ...port };
+      callback = typeof hostname === 'function' ? hostname : callback;
+    }
+    const addresses = bindings(options);
+    const result = bound => (options.addresses ? bound : bound[0]);
+
+    if (options.workers && cluster.isPrimary) {
+      return this._supervise(options).then(result);
+    }
+
+    this._shutdownTimeout = options.shutdownTimeout ?? DEFAULT_SHUTDOWN_TIMEOUT;
+    this._draining = false;
+    this._closing = null;
+    this._servers = addresses.map(() => this._createServer(options));
+    const scheme = options.tls ? 'https' : 'http';
+
+    // Handle graceful shutdown. A cluster worker is shut down by its primary.
+    if (options.signals !== false) {
+      for (const signal of ['SIGTERM', 'SIGINT', 'SIGHUP', 'SIGUSR2']) {
+        this._listenProcess(signal, () => this._exit(signal), true);
+      }
+    }
+    if (cluster.isWorker && options.workers) {
+      this._listenProcess('message', (message) => {
+        if (message && message.type === WORKER_SHUTDOWN) {
+          this._exit(null);
+        }
+      });
+    }
+
+    // Check handlers and bake before binding, so a broken app never holds the addresses
+    const started = this._prepare()
+      .then(() => Promise.all(this._servers.map((server, index) => bind(server, addresses[index]))))
+      .catch((error) => {
+        // Release the addresses that did bind, and the signals
+        for (const server of this._servers) {
+          if (server.listening) {
+            server.close();
+          }
+        }
+        this._releaseProcess();
+        throw error;
+      })
+      .then(async (bound) => {
+        await this._register(); // Run startup hooks
+        await this.runDaemons(cluster.isWorker ? 'worker' : null); // Run daemons
+
+        if (callback) {
+          callback();
+        }
+        bound.forEach((address, index) => {
+          console.log(typeof address === 'string'
+            ? `Server running at ${scheme}+unix://${address}`
+            : `Server running at ${scheme}://${addresses[index].host}:${address.port}/`);
+        });
+        if (cluster.isWorker && options.workers) {
+          process.send({ type: WORKER_READY, addresses: bound });
+        }
+        return result(bound);
+      });
+
+    return started;
+  }
+
+  /**
+   * Add a process listener that close() takes away again
+   */
+  _listenProcess(event, listener, once = false) {
+    this._processListeners.push([event, listener]);
+    if (once) {
+      process.once(event, listener);
+    } else {
+      process.on(event, listener);
+    }
+  }
+
+  /**
+   * Remove the process listeners added by listen()
+   */
+  _releaseProcess() {
+    for (const [event, listener] of this._processListeners) {
+      process.removeListener(event, listener);
+    }
+    this._processListeners = [];
+  }
+
+  /**
+   * Close gracefully, then exit the process (SIGUSR2 is raised again, as nodemon expects)
+   */
+  async _exit(signal) {
+    await this.close({ signal });
+    if (signal === 'SIGUSR2') {
+      process.kill(process.pid, 'SIGUSR2');
+    } else {
+      process.exit(0);
+    }
+  }
+
+  /**
+   * Cluster primary: fork the workers (each runs this same script, so its own
+   * listen() binds the shared port and runs the STARTUP hooks), then run the
+   * primary-only daemons. SIGHUP reloads the workers one by one; SIGTERM, SIGINT
+   * and SIGUSR2 drain them all before exiting (unless signals is false).
+   * Resolves with the addresses the first worker bound.
+   */
+  _supervise(options) {
+    const supervisor = new Supervisor(this, { ...options, shutdownTimeout: options.shutdownTimeout ?? this._shutdownTimeout });
+    this._supervisor = supervisor;
+    const scheme = options.tls ? 'https' : 'http';
+
+    if (options.signals !== false) {
+      this._listenProcess('SIGHUP', () => supervisor.reload());
+      for (const signal of ['SIGTERM', 'SIGINT', 'SIGUSR2']) {
+        this._listenProcess(signal, () => this._exit(signal), true);
+      }
+    }
+
+    return supervisor.start().then(async () => {
+      await this.runDaemons('primary');
+      console.log(`Cluster running at ${scheme}://${options.host}:${options.port}/ with ${options.workers} workers (primary ${process.pid})`);
+      return supervisor.addresses;
+    });
+  }
+
+  /**
+   * Rolling restart of the workers of a listen({ workers }) primary
+   */
+  reload() {
+    if (!this._supervisor) {
+      throw new Error('reload() needs a cluster primary started with listen({ workers })');
+    }
+    return this._supervisor.reload();
+  }
+
+  /**
+   * Build the server listen() binds: http, https (tls) or an HTTP/2 secure server (http2),
+   * applying the headersTimeout, requestTimeout and keepAliveTimeout options
+   */
+  _createServer({ tls = null, http2: useHttp2 = false, allowHTTP1 = true, ...options }) {
+    const handler = (req, res) => {
+      this._inflight.add(res);
+      res.once('close', () => {
+        this._inflight.delete(res);
+        this._drainProgress();
+      });
+      if (this._draining) {
+        closeAfter(req, res);
+      }
       this.handle(req, res);
+    };
+
+    let server;
+    if (useHttp2) {
+      if (!tls) {
+        throw new TypeError('listen({ http2: true }) requires tls: { key, cert }');
+      }
+      server = http2.createSecureServer({ ...tls, allowHTTP1 }, handler);
+    } else {
+      server = tls ? https.createServer(tls, handler) : http.createServer(handler);
+    }
+
+    // Bound how long a client may take to send headers or the whole request, and idle keep-alives
+    for (const setting of ['headersTimeout', 'requestTimeout', 'keepAliveTimeout']) {
+      if (options[setting] !== undefined) {
+        server[setting] = options[setting];
+      }
+    }
+
+    // Track connections so close() can drain them
+    server.on('connection', (socket) => {
+      this._sockets.add(socket);
+      socket.once('close', () => {
+        this._sockets.delete(socket);
+        this._drainProgress();
+      });
+    });
+    server.on('session', (session) => {
+      this._sessions.add(session);
+      session.once('close', () => {
+        this._sessions.delete(session);
+        this._drainProgress();
+      });
     });
 
     // Handle WebSocket upgrades
-    this._server.on('upgrade', (request, socket, head) => {
-      const metadata = preprocessor(request);
-      const subdomain = metadata[0];
-      const pathname = new URL(request.url, `http://${request.headers.host}`).pathname;
+    server.on('upgrade', (request, socket, head) => {
+      this._upgrade(request, socket, head);
+    });
 
-      // Find WS handler
-      let handler = null;
-      if (this._wsRoutes && this._wsRoutes.has(subdomain)) {
-        handler = this._wsRoutes.get(subdomain).get(pathname);
-      }
+    return server;
+  }
 
-      // Fallback to wildcard/default if needed (simplified)
-      if (!handler && this._wsRoutes && this._wsRoutes.has(WILDCARD)) {
-        handler = this._wsRoutes.get(WILDCARD).get(pathname);
+  /**
+   * Hand a WebSocket upgrade to the WS() handler registered for its path
+   */
+  _upgrade(request, socket, head) {
+    const vhost = this._vhostFor(request);
+    if (vhost) {
+      vhost._upgrade(request, socket, head);
+      return;
+    }
+
+    const metadata = preprocessor(request, this._options.baseDomains);
+    const subdomain = metadata[0];
+    const pathname = normalizePath(rawPathname(request.url));
+    if (pathname === null) {
+      socket.destroy();
+      return;
+    }
+
+    // Find WS handler
+    let handler = null;
+    if (this._wsRoutes && this._wsRoutes.has(subdomain)) {
+      handler = this._wsRoutes.get(subdomain).get(pathname);
+    }
+
+    // Fallback to wildcard/default if needed (simplified)
+    if (!handler && this._wsRoutes && this._wsRoutes.has(WILDCARD)) {
+      handler = this._wsRoutes.get(WILDCARD).get(pathname);
+    }
+    if (!handler && this._wsRoutes && this._wsRoutes.has(DEFAULT)) {
+      handler = this._wsRoutes.get(DEFAULT).get(pathname);
+    }
+
+    if (handler) {
+      // Initialize WSS for this connection if not exists
+      // Note: For full efficiency we might want one global WSS, but per-route handling is requested via WS()
+      // Ideally we use one WSS and handleUpgrade manually
+      if (!this._wss) {
+        this._wss = new WebSocketServer({ noServer: true });
       }
-      if (!handler && this._wsRoutes && this._wsRoutes.has(DEFAULT)) {
-        handler = this._wsRoutes.get(DEFAULT).get(pathname);
+
+      this._wss.handleUpgrade(request, socket, head, (ws) => {
+        this._wss.emit('connection', ws, request);
+        handler(ws, request, this);
+      });
+    } else {
+      socket.destroy();
+    }
+  }
+
+  /**
+   * Hand every request for a host to another router: an exact host, a wildcard
+   * ('*.tenant.example.com', ':tenant.example.com') or a RegExp. Captured host parts
+   * are exposed as req.hostParams. The first matching vhost wins; other hosts are served here.
+   */
+  vhost(hostPattern, router) {
+    if (!(router instanceof Router)) {
+      throw new TypeError('vhost() requires a Router instance to hand requests to');
+    }
+    this._vhosts.push({ pattern: hostPattern, match: compileHostPattern(hostPattern), router });
+    return this;
+  }
+
+  /**
+   * Router of the first vhost matching the request's Host header (storing its host params), or null
+   */
+  _vhostFor(req) {
+    const host = req.headers.host || req.headers[':authority']; // HTTP/2 sends :authority instead
+    if (this._vhosts.length === 0 || !host) {
+      return null;
+    }
+
+    const { hostname } = splitHost(host);
+    for (const { match, router } of this._vhosts) {
+      const params = match(hostname);
+      if (params) {
+        req.hostParams = params;
+        return router;
       }
+    }
+    return null;
+  }
 
-      if (handler) {
-        // Initialize WSS for this connection if not exists
-        // Note: For full efficiency we might want one global WSS, but per-route handling is requested via WS()
-        // Ideally we use one WSS and handleUpgrade manually
-        if (!this._wss) {
-          this._wss = new WebSocketServer({ noServer: true });
-        }
+  /**
+   * Distinct routers registered with vhost()
+   */
+  _vhostRouters() {
+    return [...new Set(this._vhosts.map(vhost => vhost.router))];
+  }
 
-        this._wss.handleUpgrade(request, socket, head, (ws) => {
-          this._wss.emit('connection', ws, request);
-          handler(ws, request, this);
-        });
-      } else {
-        socket.destroy();
+  /**
+   * Stop the server
+   */
+  async close(options = {}) {
+    if (this._supervisor) {
+      return this._supervisor.stop().then(() => this._releaseProcess());
+    }
+    if (this._servers.length === 0) {
+      return;
+    }
+    if (!this._closing) {
+      // Draining and the SHUTDOWN hooks share one deadline
+      const timeout = options.timeout ?? this._shutdownTimeout;
+      const started = Date.now();
+      this._closing = this._drain({ ...options, timeout })
+        .then(() => this._deinitialize(Math.max(timeout - (Date.now() - started), MIN_SHUTDOWN_HOOK_TIME)))
+        .then(() => this._releaseProcess()); // A later signal must not exit through a closed router
+    }
+    return this._closing;
+  }
+
+  /**
+   * Stop accepting connections and let the open ones finish: idle keep-alive sockets close,
+   * in-flight requests are answered with Connection: close (HTTP/2 sessions get a GOAWAY),
+   * WebSocket clients are closed with 1001, and pending res.defer() tasks and async daemons
+   * are awaited. After timeout (ms) whatever is left is destroyed.
+   *
+   * @returns {Promise<boolean>} whether draining finished before the deadline
+   */
+  async _drain({ signal = null, timeout = this._shutdownTimeout } = {}) {
+    const started = Date.now();
+    this._drainStarted = started;
+    this._draining = true;
+    this.emit('shutdown', { signal, timeout });
+
+    const closed = Promise.all(this._servers.map(server => new Promise((resolve) => {
+      server.close(() => resolve());
+      if (server.closeIdleConnections) {
+        server.closeIdleConnections();
+      }
+    })));
+    for (const res of this._inflight) {
+      closeAfter(res.req, res);
+    }
+    for (const session of this._sessions) {
+      session.close();
+    }
+    for (const ws of this._webSockets()) {
+      ws.once('close', () => this._drainProgress());
+      ws.close(WS_GOING_AWAY, 'Server shutting down');
+    }
+
+    // Tasks can queue more tasks (a deferred function of an in-flight request)
+    const drained = closed.then(async () => {
+      // Deferred functions start on the tick after their response is sent
+      await new Promise(resolve => setImmediate(resolve));
+      while (this._pendingTasks().length > 0) {
+        await Promise.allSettled(this._pendingTasks());
       }
     });
 
-    this._server.listen(port, hostname, async () => {
-      this._bakeSchemas(); // Automatic Baking Phase
-      await this._register(); // Run startup hooks
-      await this.runDaemons(); // Run daemons
+    let timer = null;
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(resolve, timeout, false);
+    });
+    const finished = await Promise.race([drained.then(() => true), deadline]);
+    clearTimeout(timer);
 
-      if (callback) {
-        callback();
+    if (!finished) {
+      this.emit('timeout', this._drainSnapshot(started));
+      for (const ws of this._webSockets()) {
+        ws.terminate();
+      }
+      for (const session of this._sessions) {
+        session.destroy();
+      }
+      for (const socket of this._sockets) {
+        socket.destroy();
       }
-      console.log(`Server running at http://${hostname}:${port}/`);
+    }
+
+    this.emit('drained', { elapsed: Date.now() - started, forced: !finished });
+    return finished;
+  }
+
+  /**
+   * Run the SHUTDOWN hooks with what is left of the deadline (ms), so a hook that
+   * never settles cannot keep close() and the process from exiting
+   */
+  async _deinitialize(timeout) {
+    let timer = null;
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(resolve, timeout, false);
     });
+    const finished = await Promise.race([this._unregister().then(() => true), deadline]);
+    clearTimeout(timer);
 
-    // Handle graceful shutdown
-    // Handle graceful shutdown
-    const shutdown = async (signal) => {
-      await this._unregister();
-      this._server.close(() => {
-        if (signal === 'SIGUSR2') {
-          process.kill(process.pid, 'SIGUSR2');
-        } else {
-          process.exit(0);
-        }
-      });
-    };
+    if (!finished) {
+      console.error('SHUTDOWN hooks still running at the shutdown deadline, closing without them');
+    }
+  }
 
-    process.once('SIGTERM', () => shutdown('SIGTERM'));
-    process.once('SIGINT', () => shutdown('SIGINT'));
-    process.once('SIGHUP', () => shutdown('SIGHUP'));
-    process.once('SIGUSR2', () => shutdown('SIGUSR2'));
+  /**
+   * Open WebSocket clients of this router and its virtual hosts
+   */
+  _webSockets() {
+    return [this, ...this._vhostRouters()]
+      .filter(router => router._wss)
+      .flatMap(router => [...router._wss.clients]);
+  }
 
-    return this._server;
+  /**
+   * Pending background tasks of this router and its virtual hosts
+   */
+  _pendingTasks() {
+    return [this, ...this._vhostRouters()].flatMap(router => [...router._tasks]);
   }
 
   /**
-   * Stop the server
+   * Keep track of background work (res.defer(), async daemons) so shutdown can wait for it
    */
-  async close() {
-    if (this._server) {
-      await this._unregister();
-      return new Promise((resolve) => {
-        this._server.close(resolve);
-      });
+  _track(promise) {
+    this._tasks.add(promise);
+    promise.finally(() => {
+      this._tasks.delete(promise);
+      this._drainProgress();
+    }).catch(() => { });
+    return promise;
+  }
+
+  /**
+   * What draining is still waiting for
+   */
+  _drainSnapshot(started) {
+    return {
+      connections: this._sockets.size,
+      requests: this._inflight.size,
+      websockets: this._webSockets().length,
+      tasks: this._pendingTasks().length,
+      elapsed: Date.now() - started
+    };
+  }
+
+  /**
+   * Emit 'drain' with the current progress while shutting down
+   */
+  _drainProgress() {
+    if (this._draining) {
+      this.emit('drain', this._drainSnapshot(this._drainStarted));
     }
   }
 
   /**
-   * Add a route handler
+   * Add a route handler: (route, handler, subdomain?) or (route, [middleware...], handler, subdomain?)
+   * The subdomain argument may also be an options object: { name, subdomain }
    */
-  abettor(method, route, handler, subdomain = DEFAULT, router = null) {
+  abettor(method, route, ...args) {
+    // Inline middleware comes first when given: (route, [guard, ...], handler, subdomain?)
+    const middleware = Array.isArray(args[0]) ? args.shift() : [];
+    let [handler, subdomain = DEFAULT, router = null] = args;
+    let options = {};
+    if (subdomain && typeof subdomain === 'object') {
+      options = subdomain;
+      subdomain = options.subdomain || DEFAULT;
+    }
+
     if (!route.startsWith('/')) {
       throw new UrlError(`${route} is not a valid route - must start with /`);
     }
 
-    handler = stringToFunctionHandler(handler);
+    handler = this._resolveHandler(handler);
     const engine = this.subdomains.get(subdomain);
 
     if (!engine) {
       throw new SubdomainError(`Subdomain ${subdomain} not registered`);
     }
 
-    engine.add(method, route, handler, router || this);
+    if (options.name) {
+      this._name(options.name, route, subdomain);
+    }
+
+    engine.add(method, route, handler, router || this, middleware.map(fn => this._resolveHandler(fn)), {
+      timeout: options.timeout,
+      loaders: options.loaders
+    });
+
+    const key = `${method}|${subdomain}|${route}`;
+    if (this._schemasBaked && this._metadata.has(key)) {
+      this._bakeRoute(key);
+    }
+  }
+
+  /**
+   * Remove a route at runtime. The tree is pruned so the path stops matching
+   * (it falls back to other routes, 405 or 404). SCHEMA metadata is kept, so the
+   * route is validated again if it is registered later.
+   *
+   * @returns {boolean} whether a route was removed
+   */
+  removeRoute(method, route, subdomain = DEFAULT) {
+    const engine = this.subdomains.get(subdomain);
+    if (!engine) {
+      throw new SubdomainError(`Subdomain ${subdomain} not registered`);
+    }
+
+    method = method.toUpperCase();
+    if (!engine.remove(method, route)) {
+      return false;
+    }
+    this._baked.delete(`${method}|${subdomain}|${route}`);
+
+    // Drop names that no longer point at any method of this route
+    const stillServed = METHODS.some(other => engine.cache.get(other).has(route));
+    if (!stillServed) {
+      for (const [name, named] of this._names) {
+        if (named.route === route && named.subdomain === subdomain) {
+          this._names.delete(name);
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Swap the handler of an existing route at runtime.
+   * The new handler is wrapped with the route's SCHEMA validation if schemas were baked.
+   */
+  replaceRoute(method, route, handler, subdomain = DEFAULT) {
+    const engine = this.subdomains.get(subdomain);
+    if (!engine) {
+      throw new SubdomainError(`Subdomain ${subdomain} not registered`);
+    }
+
+    method = method.toUpperCase();
+    if (!engine.updateHandler(method, route, this._resolveHandler(handler))) {
+      throw new UrlError(`Route ${method} ${route} does not exist`);
+    }
+
+    const key = `${method}|${subdomain}|${route}`;
+    this._baked.delete(key);
+    if (this._schemasBaked && this._metadata.has(key)) {
+      this._bakeRoute(key);
+    }
+    return this;
+  }
+
+  /**
+   * Register a route name for reverse lookups.
+   * The same name may be reused across methods of one route, never for another route.
+   */
+  _name(name, route, subdomain = DEFAULT) {
+    const existing = this._names.get(name);
+    if (existing && (existing.route !== route || existing.subdomain !== subdomain)) {
+      throw new UrlDuplicateError(`Route name '${name}' already points to ${existing.route}`);
+    }
+    this._names.set(name, { route, subdomain });
+  }
+
+  /**
+   * Build the URL for a named route.
+   *
+   * @param {string} name - Name given at registration ({ name: 'users.show' })
+   * @param {object} params - Values for :params and the * wildcard (params['*'])
+   * @param {object} options - { query, host, scheme }. host is the current Host header;
+   *   it is required to link across subdomains and turns the result into an absolute URL.
+   */
+  url(name, params = {}, options = {}) {
+    const named = this._names.get(name);
+    if (!named) {
+      throw new UrlError(`No route named '${name}'`);
+    }
+
+    let path = reverse(canonicalizeSlash(named.route, this._options.trailingSlash), params);
+
+    if (options.query) {
+      const search = new URLSearchParams();
+      for (const [key, value] of Object.entries(options.query)) {
+        for (const item of Array.isArray(value) ? value : [value]) {
+          search.append(key, String(item));
+        }
+      }
+      const qs = search.toString();
+      if (qs) {
+        path += `?${qs}`;
+      }
+    }
+
+    // Same subdomain (or a wildcard route) can use a relative path
+    const current = options.host ? parseHost(options.host, this._options.baseDomains) : null;
+    if (named.subdomain === WILDCARD || named.subdomain === (current ? current.subdomain : DEFAULT)) {
+      return path;
+    }
+
+    if (!current) {
+      throw new UrlError(`Route '${name}' is served on subdomain '${named.subdomain}' - pass { host } to build its URL`);
+    }
+
+    const label = named.subdomain === DEFAULT ? '' : `${named.subdomain}.`;
+    const port = current.port ? `:${current.port}` : '';
+    const scheme = options.scheme ? `${options.scheme}:` : '';
+    return `${scheme}//${label}${current.domain}${port}${path}`;
   }
 
   /**
-   * Call a handler function
+   * Call a handler function with this router. A string reference is imported right
+   * away and called once loaded; listen() and inject() wait for it before starting.
    */
   call(handler, ...args) {
     if (typeof handler === 'string') {
-      handler = stringToFunctionHandler(handler);
+      const reference = handler;
+      this._resolveHandler(reference);
+      const pending = this._loader.load(reference).then(fn => fn(this, ...args));
+      pending.catch(() => { }); // Reported by _prepare()
+      this._calls.push(pending);
+      return this;
     }
     handler(this, ...args);
     return this;
   }
 
+  /**
+   * Wait for the call()s of string references, including those they make in turn.
+   * A failed one keeps failing startup until the router is fixed.
+   */
+  async _settleCalls() {
+    while (this._calls.length > 0) {
+      const calls = [...this._calls];
+      await Promise.all(calls);
+      this._calls = this._calls.filter(call => !calls.includes(call));
+    }
+  }
+
+  /**
+   * Describe every route this router serves (HTTP, static mounts and WebSockets)
+   * along with the hooks, names and SCHEMA metadata that apply to each.
+   */
+  routes() {
+    return collectRoutes(this);
+  }
+
+  /**
+   * Print the route table as aligned text
+   */
+  printRoutes(log = console.log) {
+    log(formatRoutes(this.routes()));
+    return this;
+  }
+
   /**
    * Get daemons list
    */
@@ -247,18 +1021,30 @@ export class Router {
   }
 
   /**
-   * Run daemon processes
+   * Run daemon processes. role is 'worker' or 'primary' in cluster mode.
    */
-  async runDaemons() {
+  async runDaemons(role = null) {
     for (const daemon of this._daemons) {
+      // Cluster workers skip primary-only daemons, the primary runs nothing else
+      const primary = this._primaryDaemons.has(daemon);
+      if ((role === 'worker' && primary) || (role === 'primary' && !primary)) {
+        continue;
+      }
       try {
         if (typeof daemon === 'function') {
-          daemon(this);
+          const result = daemon(this);
+          if (result && typeof result.then === 'function') {
+            this._track(Promise.resolve(result).catch(error => console.error('Daemon error:', error)));
+          }
         }
       } catch (error) {
         console.error('Daemon error:', error);
       }
     }
+
+    for (const router of this._vhostRouters()) {
+      await router.runDaemons(role);
+    }
   }
 
   /**
@@ -280,6 +1066,10 @@ export class Router {
     }
 
     this.finalized = true;
+
+    for (const router of this._vhostRouters()) {
+      await router._register();
+    }
   }
 
   /**
@@ -293,6 +1083,10 @@ export class Router {
         console.error('Deinitializer error:', error);
       }
     }
+
+    for (const router of this._vhostRouters()) {
+      await router._unregister();
+    }
   }
 
   /**
@@ -337,25 +1131,77 @@ export class Router {
    */
   subdomain(name) {
     if (!this.subdomains.has(name)) {
-      this.subdomains.set(name, new Routes());
+      this.subdomains.set(name, new Routes(this._paramTypes, this._options));
     }
     return this;
   }
 
   /**
-   * Mount another router
+   * Mount another router's routes, hooks, names, schemas, WebSockets, daemons,
+   * static assets and docs (under prefix).
+   * Isolated (the default), its routes still dispatch to it: req.app, req.mounted and
+   * res.mounted point at the mounted router, so CONFIG, keep/peek, templates and ERROR
+   * are its own. Otherwise its configuration, state and templater are merged into this router.
+   * Anything that would clash with this router throws a MountError before anything is merged.
    */
   mount(router, isolated = true, prefix = '') {
+    const prefixed = (route) => prefix ? (prefix + route).replace('//', '/') : route;
+
+    const conflicts = this._mountConflicts(router, isolated, prefixed);
+    if (conflicts.length > 0) {
+      const where = prefix ? ` at '${prefix}'` : '';
+      throw new MountError(`Cannot mount router${where}:\n  ${conflicts.join('\n  ')}`);
+    }
+
     if (!isolated) {
       // Merge configurations and state
       this._configuration = { ...this._configuration, ...router._configuration };
       this._buckets = { ...this._buckets, ...router._buckets };
+      this._templater = this._templater || router._templater;
+    }
+
+    // String handler references stay resolved against the mounted router's root
+    router._loaders.forEach(loader => this._loaders.add(loader));
+
+    // Custom param types travel with the routes that use them
+    // (param loaders stay with each route: see Routes.add)
+    for (const [name, definition] of router._paramTypes) {
+      if (!this._paramTypes.has(name)) {
+        this._paramTypes.set(name, definition);
+      }
+    }
+
+    // Static assets and docs know their own paths, so they are served again under the prefix
+    const rebound = new Map(); // 'GET|subdomain|route' -> replacement handler
+    for (const asset of router._assets) {
+      const path = prefixed(asset.path);
+      const staticHandler = new StaticFileHandler(asset.root, {
+        ...asset.options,
+        prefix: path.slice(0, -2), // Drop the trailing '/*'
+        trailingSlash: this._options.trailingSlash
+      });
+      rebound.set(`GET|${asset.subdomain}|${asset.path}`, staticRoute(staticHandler));
+      this._assets.push({ ...asset, path });
+    }
+    for (const docs of router._docs) {
+      const jsonPath = prefixed(docs.jsonPath);
+      const spec = prefix ? async (trailingSlash) => {
+        // Paths stay relative to the mounted router, served from the prefix
+        const inner = await docs.spec(trailingSlash);
+        const base = inner.servers ? inner.servers[0].url : '';
+        return { ...inner, servers: [{ url: base ? prefixed(base) : prefix }] };
+      } : docs.spec;
+      rebound.set(`GET|${docs.subdomain}|${docs.jsonPath}`, async (req, res) => {
+        res.json(await spec(this._options.trailingSlash));
+      });
+      rebound.set(`GET|${docs.subdomain}|${docs.path}`, docsPage(jsonPath, docs.title));
+      this._docs.push({ ...docs, path: prefixed(docs.path), jsonPath, spec });
     }
 
     // Mount routes from the other router
     for (const [subdomain, sourceRoutes] of router.subdomains) {
       if (!this.subdomains.has(subdomain)) {
-        this.subdomains.set(subdomain, new Routes());
+        this.subdomains.set(subdomain, new Routes(this._paramTypes, this._options));
       }
 
       const targetRoutes = this.subdomains.get(subdomain);
@@ -365,41 +1211,61 @@ export class Router {
       // This ensures that the route structures are properly merged rather than overwritten
       for (const method of METHODS) {
         if (sourceRoutes.cache.has(method)) {
-          for (const [route, { handler }] of sourceRoutes.cache.get(method).entries()) {
-            const finalRoute = prefix ? (prefix + route).replace('//', '/') : route;
-            targetRoutes.add(method, finalRoute, handler, this);
+          for (const [route, { handler, middleware, app, timeout, loaders }] of sourceRoutes.cache.get(method).entries()) {
+            // Isolated routes keep dispatching to their own app (nested mounts keep the innermost)
+            const owner = isolated || app !== router ? app : this;
+            const replacement = rebound.get(`${method}|${subdomain}|${route}`);
+            targetRoutes.add(method, prefixed(route), replacement || handler, owner, middleware, { timeout, loaders });
           }
         }
       }
 
-      // Merge Befores (Middleware)
+      // Merge hooks in registration order (prefixed like their routes),
+      // so the parent's AROUND layers stay outermost
       for (const [route, handlers] of sourceRoutes.befores.entries()) {
-        const finalRoute = prefix ? (prefix + route).replace('//', '/') : route;
-
-        // We can't just set array, we must append
-        if (!targetRoutes.befores.has(finalRoute)) {
-          targetRoutes.befores.set(finalRoute, []);
-        }
-        targetRoutes.befores.get(finalRoute).push(...handlers);
+        handlers.forEach(handler => targetRoutes.addBefore(prefixed(route), handler));
+      }
+      for (const [route, handlers] of sourceRoutes.arounds.entries()) {
+        handlers.forEach(handler => targetRoutes.addAround(prefixed(route), handler));
       }
-
-      // Merge Afters
       for (const [route, handlers] of sourceRoutes.afters.entries()) {
-        const finalRoute = prefix ? (prefix + route).replace('//', '/') : route;
+        handlers.forEach(handler => targetRoutes.addAfter(prefixed(route), handler));
+      }
+      for (const [route, handlers] of sourceRoutes.finals.entries()) {
+        handlers.forEach(handler => targetRoutes.addFinally(prefixed(route), handler));
+      }
+      for (const [route, handlers] of sourceRoutes.flushes.entries()) {
+        handlers.forEach(handler => targetRoutes.addFinally(prefixed(route), handler, true));
+      }
+    }
+
+    // WebSocket endpoints (an isolated router's handlers keep receiving it as their router)
+    for (const [subdomain, routes] of router._wsRoutes || []) {
+      for (const [route, handler] of routes) {
+        this.WS(prefixed(route), isolated ? (ws, request) => handler(ws, request, router) : handler, subdomain);
+      }
+    }
 
-        if (!targetRoutes.afters.has(finalRoute)) {
-          targetRoutes.afters.set(finalRoute, []);
+    // Daemons start with this router's; isolated ones still receive their own router
+    for (const daemon of router._daemons) {
+      if (!this._daemons.includes(daemon)) {
+        const carried = isolated ? () => daemon(router) : daemon;
+        this._daemons.push(carried);
+        if (router._primaryDaemons.has(daemon)) {
+          this._primaryDaemons.add(carried);
         }
-        targetRoutes.afters.get(finalRoute).push(...handlers);
       }
     }
 
+    // Merge route names (prefixed like their routes)
+    for (const [name, { route, subdomain }] of router._names.entries()) {
+      this._name(name, prefixed(route), subdomain);
+    }
+
     // Merge Metadata (SCHEMAS)
     for (const [key, config] of router._metadata.entries()) {
       const [method, subdomain, path] = key.split('|');
-      const finalPath = prefix ? (prefix + path).replace('//', '/') : path;
-      const finalKey = `${method}|${subdomain}|${finalPath}`;
-      this._metadata.set(finalKey, config);
+      this._metadata.set(`${method}|${subdomain}|${prefixed(path)}`, config);
     }
 
     // Merge Initializers (startup hooks)
@@ -415,15 +1281,117 @@ export class Router {
     return this;
   }
 
+  /**
+   * Everything mounting router (with prefixed paths) would clash with, as readable lines
+   */
+  _mountConflicts(router, isolated, prefixed) {
+    const conflicts = [];
+
+    for (const [subdomain, sourceRoutes] of router.subdomains) {
+      const targetRoutes = this.subdomains.get(subdomain);
+      if (!targetRoutes) continue;
+      const where = subdomain === DEFAULT ? '' : ` (subdomain '${subdomain}')`;
+
+      // Dry run on a copy of the tree, so param and wildcard clashes surface too
+      const trial = new Routes(this._paramTypes, this._options);
+      for (const method of METHODS) {
+        for (const [route, { handler, app }] of targetRoutes.cache.get(method)) {
+          trial.add(method, route, handler, app);
+        }
+      }
+
+      for (const method of METHODS) {
+        for (const route of sourceRoutes.cache.get(method).keys()) {
+          if (targetRoutes.cache.get(method).has(prefixed(route))) {
+            conflicts.push(`${method} ${prefixed(route)}${where} already exists`);
+            continue;
+          }
+          try {
+            trial.add(method, prefixed(route), null, router);
+          } catch (error) {
+            if (!(error instanceof UrlDuplicateError)) {
+              throw error;
+            }
+            conflicts.push(`${error.message.replace(/^Route /, '')}${where}`);
+          }
+        }
+      }
+    }
+
+    for (const [subdomain, routes] of router._wsRoutes || []) {
+      const existing = this._wsRoutes && this._wsRoutes.get(subdomain);
+      for (const route of routes.keys()) {
+        if (existing && existing.has(prefixed(route))) {
+          conflicts.push(`WebSocket ${prefixed(route)} already exists`);
+        }
+      }
+    }
+
+    for (const [name, { route, subdomain }] of router._names) {
+      const existing = this._names.get(name);
+      if (existing && (existing.route !== prefixed(route) || existing.subdomain !== subdomain)) {
+        conflicts.push(`route name '${name}' already points to ${existing.route}`);
+      }
+    }
+
+    // Both routers' routes match against one type registry
+    for (const [name, definition] of router._paramTypes) {
+      const existing = this._paramTypes.get(name);
+      if (existing && !sameParamType(existing, definition)) {
+        conflicts.push(`param type '${name}' is defined differently`);
+      }
+    }
+
+    if (!isolated && this._templater && router._templater && this._templater !== router._templater) {
+      conflicts.push('both routers configure TEMPLATES (mount it isolated to keep its own)');
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Register a custom type for typed route segments, e.g. :id:uuid
+   *
+   * @param {string} name - Type name used after the param name
+   * @param {object} definition - { pattern, parse?, schema? } or { enum: [...] }
+   *   pattern: RegExp or string the whole segment must match, otherwise the route is skipped
+   *   parse: converts the matched segment before it reaches req.params
+   *   schema: OpenAPI schema for the parameter (derived from pattern/enum if omitted)
+   */
+  paramType(name, definition) {
+    this._paramTypes.set(name, normalizeParamType(name, definition));
+    return this;
+  }
+
+  /**
+   * Register a loader for a route param, e.g. app.param('user', loadUser).
+   * Whenever the matched route has a :user segment the loader runs once, before the
+   * handler, as loader(value, req, ctx) and its result is stored as ctx.user.
+   * Throwing (e.g. NotFoundError) sends the request to the error pipeline.
+   * Loaders apply to this router's routes only, including once they are mounted elsewhere.
+   */
+  param(name, loader) {
+    if (typeof loader !== 'function') {
+      throw new TypeError('Param loader must be a function');
+    }
+    this._paramLoaders.set(name, loader);
+    return this;
+  }
+
   /**
    * Add middleware
-   * This is syntactic sugar for BEFORE(path, handler)
+   * This is syntactic sugar for BEFORE(path, handler), or AROUND(path, handler)
+   * when the handler takes a fourth `next` argument: (req, res, ctx, next)
    * We enforce explicit paths (e.g. '/*' for global) favoring "Explicit is better than implicit"
+   * String references are rejected: their arity is unknown until they load, so pick BEFORE() or AROUND().
    */
   use(path, handler) {
     if (typeof path !== 'string') {
       throw new Error('Router.use() requires a path string as the first argument (e.g. "/*")');
     }
+    if (typeof handler === 'string') {
+      throw new TypeError(`Router.use() cannot tell whether '${handler}' takes next - register it with BEFORE() or AROUND()`);
+    }
 
     if (typeof handler !== 'function') {
       throw new Error('Router.use() requires a handler function as the second argument');
@@ -434,6 +1402,9 @@ export class Router {
       path = path.endsWith('/') ? `${path}*` : `${path}/*`;
     }
 
+    if (handler.length >= 4) {
+      return this.AROUND(path, handler);
+    }
     return this.BEFORE(path, handler);
   }
 
@@ -472,7 +1443,40 @@ export class Router {
     if (!engine) {
       throw new SubdomainError(`Subdomain ${subdomain} not registered`);
     }
-    engine.addBefore(route, stringToFunctionHandler(handler));
+    engine.addBefore(route, this._resolveHandler(handler));
+    return this;
+  }
+
+  /**
+   * Add around middleware: async (req, res, ctx, next) => { ...; await next(); ... }
+   * Layers wrap param loading and the handler, outermost first in registration order
+   */
+  AROUND(route, handler, subdomain = DEFAULT) {
+    const engine = this.subdomains.get(subdomain);
+    if (!engine) {
+      throw new SubdomainError(`Subdomain ${subdomain} not registered`);
+    }
+    engine.addAround(route, this._resolveHandler(handler));
+    return this;
+  }
+
+  /**
+   * Add a hook that runs for every outcome (handled, 404, abort or error): (req, res, ctx, error)
+   * It runs before the response is sent, or once it is flushed with { flushed: true }
+   * @param {string|object} subdomain - A subdomain, or { subdomain, flushed }
+   */
+  FINALLY(route, handler, subdomain = DEFAULT) {
+    let options = {};
+    if (subdomain && typeof subdomain === 'object') {
+      options = subdomain;
+      subdomain = options.subdomain || DEFAULT;
+    }
+
+    const engine = this.subdomains.get(subdomain);
+    if (!engine) {
+      throw new SubdomainError(`Subdomain ${subdomain} not registered`);
+    }
+    engine.addFinally(route, this._resolveHandler(handler), Boolean(options.flushed));
     return this;
   }
 
@@ -484,62 +1488,62 @@ export class Router {
     if (!engine) {
       throw new SubdomainError(`Subdomain ${subdomain} not registered`);
     }
-    engine.addAfter(route, stringToFunctionHandler(handler));
+    engine.addAfter(route, this._resolveHandler(handler));
     return this;
   }
 
-  // HTTP Method handlers
-  GET(route, handler, subdomain = DEFAULT) {
-    this.abettor('GET', route, handler, subdomain);
+  // HTTP Method handlers: (route, handler, subdomain?) or (route, [middleware...], handler, subdomain?)
+  GET(route, ...args) {
+    this.abettor('GET', route, ...args);
     return this;
   }
 
-  POST(route, handler, subdomain = DEFAULT) {
-    this.abettor('POST', route, handler, subdomain);
+  POST(route, ...args) {
+    this.abettor('POST', route, ...args);
     return this;
   }
 
-  PUT(route, handler, subdomain = DEFAULT) {
-    this.abettor('PUT', route, handler, subdomain);
+  PUT(route, ...args) {
+    this.abettor('PUT', route, ...args);
     return this;
   }
 
-  PATCH(route, handler, subdomain = DEFAULT) {
-    this.abettor('PATCH', route, handler, subdomain);
+  PATCH(route, ...args) {
+    this.abettor('PATCH', route, ...args);
     return this;
   }
 
-  DELETE(route, handler, subdomain = DEFAULT) {
-    this.abettor('DELETE', route, handler, subdomain);
+  DELETE(route, ...args) {
+    this.abettor('DELETE', route, ...args);
     return this;
   }
 
-  HEAD(route, handler, subdomain = DEFAULT) {
-    this.abettor('HEAD', route, handler, subdomain);
+  HEAD(route, ...args) {
+    this.abettor('HEAD', route, ...args);
     return this;
   }
 
-  OPTIONS(route, handler, subdomain = DEFAULT) {
-    this.abettor('OPTIONS', route, handler, subdomain);
+  OPTIONS(route, ...args) {
+    this.abettor('OPTIONS', route, ...args);
     return this;
   }
 
-  TRACE(route, handler, subdomain = DEFAULT) {
-    this.abettor('TRACE', route, handler, subdomain);
+  TRACE(route, ...args) {
+    this.abettor('TRACE', route, ...args);
     return this;
   }
 
-  CONNECT(route, handler, subdomain = DEFAULT) {
-    this.abettor('CONNECT', route, handler, subdomain);
+  CONNECT(route, ...args) {
+    this.abettor('CONNECT', route, ...args);
     return this;
   }
 
   /**
    * Add route for all HTTP methods
    */
-  HTTP(route, handler, subdomain = DEFAULT) {
+  HTTP(route, ...args) {
     for (const method of METHODS) {
-      this.abettor(method, route, handler, subdomain);
+      this.abettor(method, route, ...args);
     }
     return this;
   }
@@ -591,10 +1595,14 @@ export class Router {
   }
 
   /**
-   * Add daemon process
+   * Add daemon process. { primary: true } runs it once in the cluster primary
+   * instead of in every worker (it runs normally when not clustered).
    */
-  DAEMON(func) {
+  DAEMON(func, options = {}) {
     this._daemons.push(func);
+    if (options.primary) {
+      this._primaryDaemons.add(func);
+    }
     return this;
   }
 
@@ -607,10 +1615,10 @@ export class Router {
   }
 
   /**
-   * Create a route group
+   * Create a route group; options.timeout (ms) applies to its routes unless they set their own
    */
-  group(prefix) {
-    return new RouteGroup(this, prefix);
+  group(prefix, options = {}) {
+    return new RouteGroup(this, prefix, options);
   }
 
   /**
@@ -618,6 +1626,17 @@ export class Router {
    */
   TEMPLATES(folderPath, options = {}) {
     this._templater = new Templater(folderPath, options);
+
+    // url_for('users.show', { id: 5 }, { query }) - resolves relative to the request being rendered
+    const router = this;
+    this._templater.addGlobal('url_for', function (name, params = {}, urlOptions = {}) {
+      const req = this.ctx && this.ctx.req;
+      // The router that received the request knows every name, mounted ones included
+      return ((req && req._application) || router).url(name, params, {
+        host: req ? req.headers.host : undefined,
+        ...urlOptions
+      });
+    });
     return this;
   }
 
@@ -625,7 +1644,7 @@ export class Router {
    * Configure static asset serving
    */
   ASSETS(folderPath, options = {}) {
-    this._staticHandler = new StaticFileHandler(folderPath, options);
+    this._staticHandler = new StaticFileHandler(folderPath, { trailingSlash: this._options.trailingSlash, ...options });
 
     // Register route for static assets
     let route = '/*';
@@ -636,47 +1655,76 @@ export class Router {
       route = `${cleanPrefix}/*`;
     }
 
-    this.GET(route, async (req, res, ctx) => {
-      const served = await this._staticHandler.serve(req, res);
-      if (!served) {
-        // Must perform 404 if not found
-        res.status = 404;
-        res.body = 'Not Found';
-      }
-    });
+    this._assets.push({ path: route, root: this._staticHandler.assetsPath, subdomain: DEFAULT, options });
+    this.GET(route, staticRoute(this._staticHandler));
 
     return this;
   }
 
   /**
-   * Internal method to "bake" schemas by wrapping handlers with validation logic.
-   * Runs just before the server starts listening.
+   * Turn a string handler reference ('./handlers/users.js:show') into a function
+   * that imports it on first call; functions are returned as is
    */
-  async _bakeSchemas() {
-    if (this._metadata.size === 0) return;
+  _resolveHandler(handler) {
+    return stringToFunctionHandler(handler, this._loader);
+  }
 
-    const { createValidationInterceptor } = await import('./validation.js');
+  /**
+   * Check the string handler references of this router and the routers mounted into it
+   */
+  async _checkHandlers() {
+    for (const loader of this._loaders) {
+      await loader.check();
+    }
+  }
 
-    for (const [key, schemaConfig] of this._metadata.entries()) {
-      const [method, subdomain, path] = key.split('|');
+  /**
+   * Precompile the BEFORE/AROUND/AFTER/FINALLY chains of every engine.
+   * Engines recompile lazily if routes or hooks change afterwards.
+   */
+  _compileHooks() {
+    for (const engine of this.subdomains.values()) {
+      if (!engine._compiled) {
+        engine.compile();
+      }
+    }
+  }
 
-      const engine = this.subdomains.get(subdomain);
-      if (!engine) continue;
+  /**
+   * Internal method to "bake" schemas by wrapping handlers with validation logic.
+   * Runs just before the server starts listening.
+   */
+  async _bakeSchemas() {
+    for (const key of this._metadata.keys()) {
+      if (this._baked.has(key)) continue;
 
-      // Check if route exists in cache
-      const cached = engine.cache.get(method)?.get(path);
-      if (!cached) {
+      // Check if route exists in cache (warn only on the first pass)
+      if (!this._bakeRoute(key) && !this._schemasBaked) {
+        const [method, , path] = key.split('|');
         console.warn(`[Routerling Warning]: SCHEMA defined for ${method} ${path} but route does not exist.`);
-        continue;
       }
+    }
+    this._schemasBaked = true;
+  }
 
-      const interceptor = createValidationInterceptor(schemaConfig);
-      const originalHandler = cached.handler;
-      const bakedHandler = interceptor(originalHandler);
+  /**
+   * Wrap a single route's current handler with its SCHEMA validation.
+   * Returns false when the route does not exist.
+   */
+  _bakeRoute(key) {
+    const [method, subdomain, path] = key.split('|');
 
-      // Update the tree with the baked version
-      engine.updateHandler(method, path, bakedHandler);
-    }
+    const engine = this.subdomains.get(subdomain);
+    const cached = engine && engine.cache.get(method)?.get(path);
+    if (!cached) return false;
+
+    const interceptor = createValidationInterceptor(this._metadata.get(key));
+    const bakedHandler = interceptor(cached.handler);
+
+    // Update the tree with the baked version
+    engine.updateHandler(method, path, bakedHandler);
+    this._baked.add(key);
+    return true;
   }
 
   /**
@@ -692,7 +1740,7 @@ export class Router {
         // Support schema-only definition or inline (if handler provided)
         // If 3 arguments provided and last is function, treat as (path, config, handler)
         let handler = null;
-        if (arguments.length === 3 && typeof subdomain === 'function') {
+        if (typeof subdomain === 'function') {
           handler = subdomain;
           subdomain = DEFAULT;
         }
@@ -717,7 +1765,7 @@ export class Router {
    */
   async OpenApi(options = {}) {
     const { generateOpenApiSpec } = await import('./openapi.js');
-    return generateOpenApiSpec(this._metadata, options);
+    return generateOpenApiSpec(this._metadata, { trailingSlash: this._options.trailingSlash, ...options }, this._paramTypes);
   }
 
   /**
@@ -728,31 +1776,17 @@ export class Router {
   async DOCS(docsPath = '/docs', options = {}) {
     const jsonPath = docsPath.endsWith('/') ? `${docsPath}openapi.json` : `${docsPath}/openapi.json`;
 
+    // The spec is built on each request; mount() re-serves it under the mount prefix
+    const spec = (trailingSlash) => this.OpenApi({ trailingSlash, ...options });
+    this._docs.push({ path: docsPath, jsonPath, subdomain: DEFAULT, title: options.title, spec });
+
     // 1. Serve the JSON spec
     this.GET(jsonPath, async (req, res) => {
-      const spec = await this.OpenApi(options);
-      res.json(spec);
+      res.json(await spec(this._options.trailingSlash));
     });
 
     // 2. Serve the UI (Scalar)
-    this.GET(docsPath, (req, res) => {
-      const html = `
-<!doctype html>
-<html>
-  <head>
-    <title>${options.title || 'API Reference'}</title>
-    <meta charset="utf-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1" />
-  </head>
-  <body>
-    <script
-      id="api-reference"
-      data-url="${jsonPath}"></script>
-    <script src="https://cdn.jsdelivr.net/npm/@scalar/api-reference"></script>
-  </body>
-</html>`;
-      res.html(html);
-    });
+    this.GET(docsPath, docsPage(jsonPath, options.title));
 
     return this;
   }
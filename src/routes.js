@@ -1,26 +1,58 @@
 import { UrlDuplicateError } from './errors.js';
-import { isParam, coerceType } from './utils.js';
-import { METHODS, WILDCARD } from './constants.js';
+import { MethodNotAllowedError, ServiceUnavailableError, GatewayTimeoutError } from './errorHandler.js';
+import { HookTrie } from './hooks.js';
+import { isParam, coerceType, defaultParamTypes, hasTrailingSlash, canonicalizeSlash, encodePath, unescapeSegment, rawQuery } from './utils.js';
+import {
+  METHODS,
+  WILDCARD,
+  TRAILING_SLASH_IGNORE,
+  TRAILING_SLASH_STRICT,
+  TRAILING_SLASH_ADD,
+  TRAILING_SLASH_REMOVE
+} from './constants.js';
+
+// Hook maps of a Routes engine, each compiled into its own HookTrie
+const HOOK_KINDS = ['befores', 'arounds', 'afters', 'finals', 'flushes'];
 
 /**
  * Route node for building the routing tree
  */
 class RouteNode {
-  constructor() {
-    this.handler = null;
-    this.route = null;
+  constructor(types, constraint = null, type = null) {
+    this.endpoint = null; // Shared with Routes.cache: { handler, route, middleware, app, timeout, loaders }
+    this.params = []; // [{ name, type }] for each param on the path to this endpoint
     this.children = new Map();
-    this.parameterized = {};
+    this.types = types; // Param type registry shared by the whole tree
+    this.constraint = constraint; // RegExp for :name(pattern) nodes
+    this.type = type; // Type name for :name:type nodes
     this.wildcard = null;
   }
 
   /**
-   * Match a URL path against this node
+   * Check a segment against this param node's regex and type pattern
    */
-  match(segments, request) {
+  accepts(segment) {
+    if (this.constraint && !this.constraint.test(segment)) {
+      return false;
+    }
+    const definition = this.type ? this.types.get(this.type) : null;
+    return !definition || definition.pattern.test(segment);
+  }
+
+  /**
+   * Match a URL path against this node.
+   * Children are tried static first, then constrained params, then plain params,
+   * then the wildcard; a branch that fails to match falls through to the next.
+   *
+   * Param values are collected positionally in `captured` and only written to the
+   * request once an endpoint matches, using that endpoint's own names and types.
+   * Values captured by a branch that fails are popped again.
+   */
+  match(segments, request, captured = []) {
     if (segments.length === 0) {
-      if (this.handler) {
-        return [this.route, this.handler];
+      if (this.endpoint) {
+        assignParams(this.params, captured, request, this.types);
+        return [this.endpoint.route, this.endpoint.handler, this.endpoint.middleware, this.endpoint.app, this.endpoint];
       }
       return [null, null];
     }
@@ -30,25 +62,31 @@ class RouteNode {
     // Try exact match first
     const child = this.children.get(segment);
     if (child) {
-      const result = child.match([...segments], request);
+      const result = child.match([...segments], request, captured);
+      if (result[1]) {
+        return result;
+      }
+    }
+
+    // The strict-mode trailing slash marker is never a param value
+    if (segment === '') {
+      return [null, null];
+    }
+
+    // Try constrained/typed then plain parameterized routes
+    for (const [key, paramChild] of this.children) {
+      if (key === ':' || !key.startsWith(':') || !paramChild.accepts(segment)) {
+        continue;
+      }
+      const result = paramChild.matchParam(segment, segments, request, captured);
       if (result[1]) {
         return result;
       }
     }
 
-    // Try parameterized routes
     const paramChild = this.children.get(':');
     if (paramChild) {
-      // Set the parameter value for any parameter name in this node
-      for (const [route, paramInfo] of Object.entries(paramChild.parameterized)) {
-        const paramName = typeof paramInfo === 'string' ? paramInfo : paramInfo.name;
-        const typeHint = typeof paramInfo === 'object' ? paramInfo.type : null;
-
-        // Apply type coercion if type hint is present
-        const value = coerceType(segment, typeHint);
-        request.setParam(paramName, value);
-      }
-      const result = paramChild.match([...segments], request);
+      const result = paramChild.matchParam(segment, segments, request, captured);
       if (result[1]) {
         return result;
       }
@@ -56,12 +94,27 @@ class RouteNode {
 
     // Try wildcard match
     if (this.wildcard) {
-      return [this.wildcard.route, this.wildcard.handler];
+      assignParams(this.wildcard.params, [...captured, [segment, ...segments].join('/')], request, this.types);
+      const { endpoint } = this.wildcard;
+      return [endpoint.route, endpoint.handler, endpoint.middleware, endpoint.app, endpoint];
     }
 
     return [null, null];
   }
 
+  /**
+   * Capture a segment for this parameter node and continue matching below it
+   */
+  matchParam(segment, segments, request, captured) {
+    captured.push(segment);
+    const result = this.match([...segments], request, captured);
+    if (!result[1]) {
+      // Roll back: this branch did not produce a route
+      captured.pop();
+    }
+    return result;
+  }
+
   /**
    * Check if a path matches a parameterized route pattern
    */
@@ -86,77 +139,189 @@ class RouteNode {
   }
 }
 
+/**
+ * Write captured values to the request under the matched route's param names.
+ * Values are fully decoded here, once matching no longer needs %2F to keep segments apart.
+ */
+function assignParams(params, captured, request, types) {
+  for (let i = 0; i < params.length; i++) {
+    const { name, type } = params[i];
+    if (name) {
+      // Registered types parse the value; unknown hints keep the old coercion
+      const definition = type ? types.get(type) : null;
+      const value = unescapeSegment(captured[i]);
+      request.setParam(name, definition ? definition.parse(value) : coerceType(value, type));
+    }
+  }
+}
+
+/**
+ * Settle with work, or reject with timeoutError() (aborting the request's signal) after ms.
+ * The handler keeps running after a timeout; whatever it does then is ignored.
+ * A response already on the wire (a streamed file) is left to finish.
+ */
+async function withDeadline(work, ms, req, res, timeoutError) {
+  if (!ms) {
+    return work;
+  }
+
+  let timer = null;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      if (res._sent) {
+        return;
+      }
+      const error = timeoutError();
+      req.abort(error);
+      reject(error);
+    }, ms);
+  });
+  work.catch(() => { }); // Rejections after the deadline have nobody to go to
+
+  try {
+    return await Promise.race([work, expired]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Key of the child node a route segment lives under:
+ * the literal segment, ':' for plain params, or ':type(pattern)' for typed/constrained ones
+ */
+function childKey(segment) {
+  const [, paramName, typeHint, pattern] = isParam(segment);
+  return paramName ? `:${typeHint || ''}${pattern ? `(${pattern})` : ''}` : segment;
+}
+
+/**
+ * Expand optional parameter segments into every concrete combination
+ * e.g. [':lang?', 'docs'] -> [[':lang', 'docs'], ['docs']]
+ */
+function expandOptionalSegments(segments) {
+  let variants = [[]];
+
+  for (const segment of segments) {
+    const [, paramName, , , optional] = isParam(segment);
+    if (paramName && optional) {
+      const required = segment.slice(0, -1);
+      variants = [...variants.map(variant => [...variant, required]), ...variants];
+    } else {
+      variants = variants.map(variant => [...variant, segment]);
+    }
+  }
+  return variants;
+}
+
 /**
  * Routes class for managing HTTP routes
  * Equivalent to Python heaven.router.Routes
  */
 export class Routes {
-  constructor() {
+  constructor(types = defaultParamTypes(), options = {}) {
+    this.types = types;
+    this.trailingSlash = options.trailingSlash || TRAILING_SLASH_IGNORE;
     this.routes = new Map();
     this.cache = new Map();
     this.befores = new Map();
+    this.arounds = new Map();
     this.afters = new Map();
+    this.finals = new Map(); // FINALLY hooks run before the response is sent
+    this.flushes = new Map(); // FINALLY hooks run once the response is flushed
+    this._compiled = null; // Hook tries and per-route chains, rebuilt after any change
 
     // Initialize route trees for each HTTP method
     for (const method of METHODS) {
-      this.routes.set(method, new RouteNode());
+      this.routes.set(method, new RouteNode(this.types));
       this.cache.set(method, new Map());
     }
   }
 
   /**
-   * Add a route to the routing tree
+   * Split a route or path into tree segments.
+   * In strict mode a trailing slash becomes a final '' segment so /users and /users/ differ.
+   */
+  split(path) {
+    const segments = path.split('/').filter(segment => segment);
+    if (this.trailingSlash === TRAILING_SLASH_STRICT && hasTrailingSlash(path)) {
+      segments.push('');
+    }
+    return segments;
+  }
+
+  /**
+   * Add a route to the routing tree, with optional inline middleware that runs before the handler.
+   * router is the app the route belongs to: a mounted app when mount() keeps it isolated.
+   * options.timeout (ms) bounds the route's hooks and handler, overriding the app's timeout option;
+   * options.loaders are the param() loaders of the router that registered the route
+   * (router's own by default).
    */
-  add(method, route, handler, router) {
+  add(method, route, handler, router, middleware = [], { timeout, loaders = router?._paramLoaders } = {}) {
     // Check for duplicate routes
-    const cacheKey = `${method}:${route}`;
     if (this.cache.get(method).has(route)) {
       throw new UrlDuplicateError(`Route ${method} ${route} already exists`);
     }
 
-    const segments = route.split('/').filter(segment => segment);
-    let currentNode = this.routes.get(method);
+    const segments = this.split(route);
+    const endpoint = { handler, route, middleware, app: router, timeout, loaders };
 
-    // Handle root route
-    if (segments.length === 0) {
-      currentNode.handler = handler;
-      currentNode.route = route;
-      this.cache.get(method).set(route, { handler, route });
-      return;
+    // Optional segments (/:lang?/docs) register one tree path per combination
+    const variants = expandOptionalSegments(segments);
+    try {
+      for (const variant of variants) {
+        this._insert(method, route, variant, endpoint);
+      }
+    } catch (error) {
+      // All or nothing: take back the variants inserted before the conflict (and prune its nodes)
+      for (const variant of variants) {
+        this._delete(this.routes.get(method), variant, endpoint);
+      }
+      throw error;
     }
 
-    // Build the route tree
-    for (let i = 0; i < segments.length; i++) {
-      const segment = segments[i];
-      const isLast = i === segments.length - 1;
+    this.cache.get(method).set(route, endpoint);
+    this._compiled = null;
+  }
+
+  /**
+   * Insert one concrete segment list into the method tree
+   */
+  _insert(method, route, segments, endpoint) {
+    let currentNode = this.routes.get(method);
+    const params = [];
 
-      if (segment === '*') {
-        // Wildcard route
-        currentNode.wildcard = { handler, route };
-        this.cache.get(method).set(route, { handler, route });
+    for (const segment of segments) {
+      if (segment.startsWith('*')) {
+        // Wildcard route, optionally named (/files/*path)
+        if (currentNode.wildcard) {
+          throw new UrlDuplicateError(`Route ${method} ${route} conflicts with ${currentNode.wildcard.endpoint.route}`);
+        }
+        params.push({ name: segment.slice(1) || null, type: null });
+        currentNode.wildcard = { endpoint, params };
         return;
       }
 
-      const [segmentKey, paramName, typeHint] = isParam(segment);
-      const nodeKey = paramName ? ':' : segment;
+      const [segmentKey, paramName, typeHint, pattern] = isParam(segment);
+      const nodeKey = childKey(segment);
 
       if (!currentNode.children.has(nodeKey)) {
-        currentNode.children.set(nodeKey, new RouteNode());
+        const constraint = pattern ? new RegExp(`^(?:${pattern})$`) : null;
+        currentNode.children.set(nodeKey, new RouteNode(this.types, constraint, typeHint));
       }
 
       currentNode = currentNode.children.get(nodeKey);
 
       if (paramName) {
-        // Store both param name and type hint
-        currentNode.parameterized[route] = { name: paramName, type: typeHint };
+        // Names and types belong to this route only, not to the shared node
+        params.push({ name: paramName, type: typeHint });
       }
+    }
 
-      if (isLast) {
-        currentNode.handler = handler;
-        currentNode.route = route;
-        this.cache.get(method).set(route, { handler, route });
-      }
+    if (currentNode.endpoint) {
+      throw new UrlDuplicateError(`Route ${method} ${route} conflicts with ${currentNode.endpoint.route}`);
     }
+    currentNode.endpoint = endpoint;
+    currentNode.params = params;
   }
 
   /**
@@ -164,59 +329,55 @@ export class Routes {
    * Useful for the "baking" phase where we wrap original handlers with validation.
    */
   updateHandler(method, route, newHandler) {
-    const segments = route.split('/').filter(segment => segment);
-    let currentNode = this.routes.get(method);
+    // Tree nodes share the cached endpoint, so updating it updates every path
+    const endpoint = this.cache.get(method)?.get(route);
+    if (!endpoint) return false;
 
-    if (!currentNode) return false;
+    endpoint.handler = newHandler;
+    return true;
+  }
 
-    if (segments.length === 0) {
-      currentNode.handler = newHandler;
-      if (this.cache.get(method).has(route)) {
-        this.cache.get(method).get(route).handler = newHandler;
-      }
-      return true;
+  /**
+   * Remove a route from the routing tree, pruning branches left without routes
+   * @returns {boolean} whether the route existed
+   */
+  remove(method, route) {
+    const endpoint = this.cache.get(method)?.get(route);
+    if (!endpoint) {
+      return false;
     }
 
-    for (let i = 0; i < segments.length; i++) {
-      const segment = segments[i];
-      const isLast = i === segments.length - 1;
-
-      if (segment === '*') {
-        if (currentNode.wildcard) {
-          currentNode.wildcard.handler = newHandler;
-          if (this.cache.get(method).has(route)) {
-            this.cache.get(method).get(route).handler = newHandler;
-          }
-          return true;
-        }
-        return false;
-      }
-
-      const nodeKey = segment.startsWith(':') ? ':' : segment;
-      if (!currentNode.children.has(nodeKey)) return false;
-      currentNode = currentNode.children.get(nodeKey);
-
-      if (isLast) {
-        currentNode.handler = newHandler;
-        if (this.cache.get(method).has(route)) {
-          this.cache.get(method).get(route).handler = newHandler;
-        }
-        return true;
-      }
+    const segments = this.split(route);
+    for (const variant of expandOptionalSegments(segments)) {
+      this._delete(this.routes.get(method), variant, endpoint);
     }
-    return false;
+    this.cache.get(method).delete(route);
+    this._compiled = null;
+    return true;
   }
 
   /**
-   * Remove a route from the routing tree
+   * Detach an endpoint below a node; returns true when the node became empty
    */
-  remove(method, route) {
-    const cached = this.cache.get(method).get(route);
-    if (cached) {
-      this.cache.get(method).delete(route);
-      // Note: We don't actually remove from the tree structure for simplicity
-      // In a production implementation, you'd want to clean up the tree
+  _delete(node, segments, endpoint) {
+    if (segments.length === 0) {
+      if (node.endpoint === endpoint) {
+        node.endpoint = null;
+        node.params = [];
+      }
+    } else if (segments[0].startsWith('*')) {
+      if (node.wildcard && node.wildcard.endpoint === endpoint) {
+        node.wildcard = null;
+      }
+    } else {
+      const key = childKey(segments[0]);
+      const child = node.children.get(key);
+      if (child && this._delete(child, segments.slice(1), endpoint)) {
+        node.children.delete(key);
+      }
     }
+
+    return !node.endpoint && !node.wildcard && node.children.size === 0;
   }
 
   /**
@@ -228,8 +389,55 @@ export class Routes {
       return [null, null];
     }
 
-    const segments = path.split('/').filter(segment => segment);
-    return rootNode.match(segments, request);
+    return rootNode.match(this.split(path), request);
+  }
+
+  /**
+   * List the methods that have a route matching the given path,
+   * including the HEAD and OPTIONS the router answers implicitly
+   */
+  allowedMethods(path) {
+    // Params captured while probing must not leak into the real request
+    const probe = { setParam() { } };
+    const registered = new Set(METHODS.filter(method => this.match(method, path, probe)[1]));
+
+    if (registered.size === 0) {
+      return [];
+    }
+    if (registered.has('GET')) {
+      registered.add('HEAD');
+    }
+    registered.add('OPTIONS');
+
+    return METHODS.filter(method => registered.has(method));
+  }
+
+  /**
+   * Under the redirect-* policies, the canonical form of a path that serves method
+   * (GET for HEAD, any method for OPTIONS) in its other form; null when no redirect applies.
+   * Static mounts are skipped (StaticFileHandler applies the policy to files itself),
+   * as are catch-alls under redirect-add, which never gain a slash.
+   */
+  canonicalPath(path, router, method) {
+    if (this.trailingSlash !== TRAILING_SLASH_ADD && this.trailingSlash !== TRAILING_SLASH_REMOVE) {
+      return null;
+    }
+    const canonical = canonicalizeSlash(path, this.trailingSlash);
+    if (canonical === path) {
+      return null;
+    }
+
+    const assets = new Set((router?._assets || []).map(asset => asset.path));
+    const probe = { setParam() { } };
+    // Redirect only what the canonical path will answer, not into a 405
+    const methods = method === 'HEAD' ? ['HEAD', 'GET'] : method === 'OPTIONS' || !method ? METHODS : [method];
+    const served = methods.some(candidate => {
+      const [route] = this.match(candidate, path, probe);
+      const catchAll = route && /\/\*[^/]*$/.test(route);
+      return route && !assets.has(route) && !(catchAll && this.trailingSlash === TRAILING_SLASH_ADD);
+    });
+
+    return served ? canonical : null;
   }
 
   /**
@@ -240,23 +448,45 @@ export class Routes {
     const path = req.url;
 
     try {
-      // Execute before middleware
-      await this.executeBefores(path, req, res, context);
+      // Non-canonical trailing slash: permanent redirect, keeping the query string
+      const canonical = this.canonicalPath(path, router, method);
+      if (canonical) {
+        const query = rawQuery(req._req.url);
+        const location = encodePath(canonical);
+        res.redirect(query ? `${location}?${query}` : location, true);
+        res.body = '';
+        return res;
+      }
 
       // Find matching route
-      const [route, handler] = this.match(method, path, req);
+      let [route, handler, middleware, app, endpoint] = this.match(method, path, req);
 
-      if (!handler) {
-        res.status = 404;
-        res.body = 'Not Found';
-        return res;
+      // HEAD falls back to the GET handler; Response.send drops the body
+      if (!handler && method === 'HEAD') {
+        [route, handler, middleware, app, endpoint] = this.match('GET', path, req);
       }
 
-      // Execute the route handler
-      await handler(req, res, context);
+      req.route = route;
+
+      // Routes of an isolated mounted app run against that app (config, state, templates, ERROR)
+      if (app && router && app !== router) {
+        req.mounted = app;
+        res.mounted = app;
+        context._application = app;
+      }
+
+      // Hooks precompiled for the route (or walked from the path when nothing matched)
+      const chain = this.chainFor(path, route);
 
-      // Execute after middleware
-      await this.executeAfters(path, req, res, context);
+      // The route's timeout, else its app's, bounds everything from here to the AFTER hooks
+      const owner = app || router;
+      const options = (owner && owner._options) || {};
+      const ms = endpoint?.timeout ?? options.timeout;
+      const TimeoutError = options.timeoutStatus === 503 ? ServiceUnavailableError : GatewayTimeoutError;
+      const timeoutError = () => new TimeoutError(`${method} ${path} timed out after ${ms}ms`);
+
+      const loaders = endpoint?.loaders;
+      await withDeadline(this.dispatch(chain, handler, middleware, req, res, context, loaders), ms, req, res, timeoutError);
 
     } catch (error) {
       if (error.name === 'AbortException') {
@@ -270,6 +500,79 @@ export class Routes {
     return res;
   }
 
+  /**
+   * Run the hooks and handler of a matched (or unmatched) request
+   */
+  async dispatch(chain, handler, middleware, req, res, context, loaders) {
+    const method = req.method;
+    const path = req.url;
+
+    // Execute before middleware
+    await this.executeHooks(chain.befores, req, res, context);
+
+    // OPTIONS without an explicit route just reports what the path allows
+    if (!handler && method === 'OPTIONS') {
+      const allowed = this.allowedMethods(path);
+      if (allowed.length > 0) {
+        res.setHeader('allow', allowed.join(', '));
+        res.status = 204;
+        res.body = '';
+        await this.executeHooks(chain.afters, req, res, context);
+        return res;
+      }
+    }
+
+    if (!handler) {
+      // Same path under another verb is a 405, not a 404
+      const allowed = this.allowedMethods(path);
+      if (allowed.length > 0) {
+        throw new MethodNotAllowedError(`Cannot ${method} ${path}`, null, allowed);
+      }
+
+      res.status = 404;
+      res.body = 'Not Found';
+      return res;
+    }
+
+    // AROUND layers wrap param loading and the route handler
+    await this.executeArounds(chain.arounds, req, res, context, async () => {
+      // Resolve the param() loaders of the route's own router for the params it captured
+      await this.executeParamLoaders(req, context, loaders);
+
+      // Inline route middleware runs in order; one that sets the response ends the chain
+      for (const guard of middleware) {
+        const revision = res.revision;
+        await guard(req, res, context);
+        if (res.revision !== revision) {
+          return;
+        }
+      }
+
+      // Execute the route handler
+      await handler(req, res, context);
+    });
+
+    // Execute after middleware
+    await this.executeHooks(chain.afters, req, res, context);
+  }
+
+  /**
+   * Run param loaders (name -> loader, from the router that registered the route) for every
+   * param of the matched route, storing each resolved value on the context under the param name
+   */
+  async executeParamLoaders(req, ctx, loaders) {
+    if (!loaders || loaders.size === 0) {
+      return;
+    }
+
+    for (const [name, value] of Object.entries(req.params)) {
+      const loader = loaders.get(name);
+      if (loader) {
+        ctx.keep(name, await loader(value, req, ctx));
+      }
+    }
+  }
+
   /**
    * Add before middleware for a route
    */
@@ -278,6 +581,30 @@ export class Routes {
       this.befores.set(route, []);
     }
     this.befores.get(route).push(handler);
+    this._compiled = null;
+  }
+
+  /**
+   * Add around middleware for a route
+   */
+  addAround(route, handler) {
+    if (!this.arounds.has(route)) {
+      this.arounds.set(route, []);
+    }
+    this.arounds.get(route).push(handler);
+    this._compiled = null;
+  }
+
+  /**
+   * Add a FINALLY hook for a route; `flushed` defers it until the response is flushed
+   */
+  addFinally(route, handler, flushed = false) {
+    const hooks = flushed ? this.flushes : this.finals;
+    if (!hooks.has(route)) {
+      hooks.set(route, []);
+    }
+    hooks.get(route).push(handler);
+    this._compiled = null;
   }
 
   /**
@@ -288,10 +615,12 @@ export class Routes {
       this.afters.set(route, []);
     }
     this.afters.get(route).push(handler);
+    this._compiled = null;
   }
 
   /**
    * Check if a path matches a pattern (supports wildcards)
+   * Request handling uses HookTrie, which compiles these same rules
    */
   matchesPattern(pattern, path) {
     // Exact match
@@ -299,10 +628,18 @@ export class Routes {
       return true;
     }
 
-    // Wildcard match: /api/* matches /api/users, /api/profile, etc.
+    // Wildcard match: /api/* matches /api, /api/users, /api/profile, etc.
+    // Params in the prefix match any segment: /users/:id/* matches /users/7/posts
     if (pattern.endsWith('/*')) {
-      const prefix = pattern.slice(0, -2); // Remove /*
-      return path.startsWith(prefix + '/') || path === prefix;
+      const prefixParts = pattern.slice(0, -2).split('/').filter(p => p);
+      const pathParts = path.split('/').filter(p => p);
+      return prefixParts.length <= pathParts.length &&
+        prefixParts.every((part, i) => part.startsWith(':') || part === pathParts[i]);
+    }
+
+    // In strict mode /users and /users/ are different paths for hooks too
+    if (this.trailingSlash === TRAILING_SLASH_STRICT && hasTrailingSlash(pattern) !== hasTrailingSlash(path)) {
+      return false;
     }
 
     // Parameterized route match
@@ -331,27 +668,95 @@ export class Routes {
   }
 
   /**
-   * Execute before middleware
+   * Compile every hook kind into a HookTrie and resolve the chain of each route once.
+   * Runs at finalize time (listen/inject) and again lazily after routes or hooks change.
    */
-  async executeBefores(route, req, res, ctx) {
-    for (const [pattern, handlers] of this.befores.entries()) {
-      if (this.matchesPattern(pattern, route)) {
-        for (const handler of handlers) {
-          await handler(req, res, ctx);
+  compile() {
+    const strict = this.trailingSlash === TRAILING_SLASH_STRICT;
+    const tries = {};
+    for (const kind of HOOK_KINDS) {
+      tries[kind] = new HookTrie(this[kind], strict);
+    }
+
+    // Route -> chain, or null when the hooks depend on the concrete path
+    const chains = new Map();
+    for (const routes of this.cache.values()) {
+      for (const route of routes.keys()) {
+        if (!chains.has(route)) {
+          chains.set(route, this._chain(kind => tries[kind].resolve(route)));
         }
       }
     }
+
+    this._compiled = { tries, chains };
+    return this._compiled;
   }
 
   /**
-   * Execute after middleware
+   * Build a { befores, arounds, afters, finals, flushes } chain; null if any kind is unresolved
    */
-  async executeAfters(route, req, res, ctx) {
-    for (const [pattern, handlers] of this.afters.entries()) {
-      if (this.matchesPattern(pattern, route)) {
-        for (const handler of handlers) {
-          await handler(req, res, ctx);
-        }
+  _chain(resolve) {
+    const chain = {};
+    for (const kind of HOOK_KINDS) {
+      chain[kind] = resolve(kind);
+      if (!chain[kind]) {
+        return null;
+      }
+    }
+    return chain;
+  }
+
+  /**
+   * The hooks that apply to a request path, as lists of { pattern, handler }.
+   * Uses the matched route's precompiled chain when it does not depend on the path.
+   */
+  chainFor(path, route = null) {
+    const { tries, chains } = this._compiled || this.compile();
+    return (route && chains.get(route)) || this._chain(kind => tries[kind].match(path));
+  }
+
+  /**
+   * List the hooks whose pattern applies to a route, in execution order
+   */
+  hooksFor(route) {
+    const { befores, arounds, afters, finals, flushes } = this.chainFor(route, route);
+    return { befores, arounds, afters, finals: [...finals, ...flushes] };
+  }
+
+  /**
+   * Execute a list of BEFORE/AFTER hooks in order
+   */
+  async executeHooks(hooks, req, res, ctx) {
+    for (const { handler } of hooks) {
+      await handler(req, res, ctx);
+    }
+  }
+
+  /**
+   * Execute around middleware as an onion: the first registered layer is the outermost,
+   * and each layer's next() runs the remaining layers, then `core`
+   */
+  async executeArounds(layers, req, res, ctx, core) {
+    const dispatch = async (index) => {
+      if (index === layers.length) {
+        return core();
+      }
+      return layers[index].handler(req, res, ctx, () => dispatch(index + 1));
+    };
+    return dispatch(0);
+  }
+
+  /**
+   * Execute FINALLY hooks for a path: (req, res, ctx, error).
+   * Every matching hook runs; one that throws is logged and does not stop the others.
+   */
+  async executeFinals(path, req, res, ctx, error, flushed = false) {
+    const chain = this.chainFor(path, req.route);
+    for (const { handler } of flushed ? chain.flushes : chain.finals) {
+      try {
+        await handler(req, res, ctx, error);
+      } catch (hookError) {
+        console.error('Error in FINALLY hook:', hookError);
       }
     }
   }
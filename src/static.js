@@ -2,6 +2,8 @@ import fs from 'fs/promises';
 import path from 'path';
 import { createReadStream } from 'fs';
 import mime from 'mime-types';
+import { hasTrailingSlash, encodePath, rawQuery } from './utils.js';
+import { TRAILING_SLASH_IGNORE, TRAILING_SLASH_STRICT, TRAILING_SLASH_ADD, TRAILING_SLASH_REMOVE } from './constants.js';
 
 /**
  * Static file handler for serving assets
@@ -16,6 +18,7 @@ export class StaticFileHandler {
     this.index = options.index || ['index.html', 'index.htm'];
     this.dotfiles = options.dotfiles || 'ignore'; // ignore, allow, deny
     this.prefix = options.prefix || '';
+    this.trailingSlash = options.trailingSlash || TRAILING_SLASH_IGNORE; // Router policy, see trailingSlashRedirect
     if (this.prefix && !this.prefix.startsWith('/')) {
       this.prefix = '/' + this.prefix;
     }
@@ -45,8 +48,10 @@ export class StaticFileHandler {
         return false;
       }
 
-      // Remove leading slash and query string
-      const cleanPath = urlPath.replace(/^\/+/, '').split('?')[0];
+      // Remove leading slash and query string; the router keeps '%' escaped as %25
+      // (an encoded slash stays %2F: part of the file name, never a directory)
+      const cleanPath = urlPath.replace(/^\/+/, '').split('?')[0].replace(/%25/g, '%');
+      const slashed = hasTrailingSlash(urlPath);
 
       // Handle dotfiles
       if (this.dotfiles === 'deny' && this.isDotfile(cleanPath)) {
@@ -56,7 +61,7 @@ export class StaticFileHandler {
         return false;
       }
 
-      const filePath = path.join(this.assetsPath, cleanPath);
+      const filePath = path.join(this.assetsPath, cleanPath.replace(/\/+$/, ''));
 
       // Ensure the file is within the assets directory
       if (!filePath.startsWith(this.assetsPath)) {
@@ -77,9 +82,16 @@ export class StaticFileHandler {
 
       // If it's a directory, try index files
       if (stats.isDirectory()) {
+        if (cleanPath !== '' && !this.acceptsSlash(slashed, true)) {
+          return this.trailingSlashRedirect(req, res, true);
+        }
         return await this.serveIndex(filePath, req, res);
       }
 
+      if (!this.acceptsSlash(slashed, false)) {
+        return this.trailingSlashRedirect(req, res, false);
+      }
+
       // Serve the file
       return await this.serveFile(filePath, stats, req, res);
     } catch (error) {
@@ -88,6 +100,39 @@ export class StaticFileHandler {
     }
   }
 
+  /**
+   * Whether the trailing slash policy serves this form of the path as is.
+   * Files live without a slash; directories with one under redirect-add and strict.
+   */
+  acceptsSlash(slashed, directory) {
+    switch (this.trailingSlash) {
+      case TRAILING_SLASH_STRICT:
+      case TRAILING_SLASH_ADD:
+        return directory ? slashed : !slashed;
+      case TRAILING_SLASH_REMOVE:
+        return !slashed;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Answer a path in the wrong form: 308 to the canonical form under the
+   * redirect-* policies, not served (false) under strict
+   */
+  trailingSlashRedirect(req, res, directory) {
+    if (this.trailingSlash === TRAILING_SLASH_STRICT) {
+      return false;
+    }
+
+    const addSlash = directory && this.trailingSlash === TRAILING_SLASH_ADD;
+    const location = encodePath(addSlash ? `${req.url}/` : req.url.replace(/\/+$/, ''));
+    const query = rawQuery(req._req.url);
+    res.redirect(query ? `${location}?${query}` : location, true);
+    res.body = '';
+    return true;
+  }
+
   /**
    * Serve index file from directory
    */
@@ -156,20 +201,7 @@ export class StaticFileHandler {
     // Stream the file
     res.status = 200;
 
-    return new Promise((resolve, reject) => {
-      const stream = createReadStream(filePath);
-
-      stream.on('error', (error) => {
-        console.error('File stream error:', error);
-        resolve(false);
-      });
-
-      stream.on('end', () => {
-        resolve(true);
-      });
-
-      stream.pipe(res._res);
-    });
+    return this.stream(filePath, {}, req, res);
   }
 
   /**
@@ -194,15 +226,43 @@ export class StaticFileHandler {
     res.setHeader('content-length', contentLength);
     res.setHeader('accept-ranges', 'bytes');
 
-    return new Promise((resolve, reject) => {
-      const stream = createReadStream(filePath, { start, end });
+    return this.stream(filePath, { start, end }, req, res);
+  }
+
+  /**
+   * Write the status and headers, then pipe the file (or nothing for HEAD).
+   * The response is marked as sent so Router.handle does not end it again.
+   */
+  stream(filePath, range, req, res) {
+    res._res.statusCode = res.status;
+    for (const [name, value] of Object.entries(res.headers)) {
+      res._res.setHeader(name, value);
+    }
+    res._sent = true;
+
+    const done = () => setImmediate(() => res.executeDeferredFunctions());
+
+    if (req.method === 'HEAD') {
+      res._res.end();
+      done();
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      const stream = createReadStream(filePath, range);
 
       stream.on('error', (error) => {
-        console.error('Range stream error:', error);
-        resolve(false);
+        console.error('File stream error:', error);
+        if (!res._res.headersSent) {
+          res._res.statusCode = 500;
+        }
+        res._res.end();
+        done();
+        resolve(true);
       });
 
       stream.on('end', () => {
+        done();
         resolve(true);
       });
 
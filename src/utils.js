@@ -1,4 +1,5 @@
-import { DEFAULT } from './constants.js';
+import { DEFAULT, TRAILING_SLASH_ADD, TRAILING_SLASH_REMOVE } from './constants.js';
+import { UrlError } from './errors.js';
 import { isIP } from 'net';
 
 /**
@@ -13,8 +14,9 @@ export const bufferOrString = (x) => {
 
 /**
  * Process request headers and extract subdomain information
+ * (baseDomains as in parseHost)
  */
-export function preprocessor(req) {
+export function preprocessor(req, baseDomains = []) {
   const headers = {};
 
   // Convert headers to lowercase and handle multiple values
@@ -32,30 +34,98 @@ export function preprocessor(req) {
     }
   }
 
-  let host = headers.host;
+  // HTTP/2 requests carry the host as :authority
+  if (!headers.host && headers[':authority']) {
+    headers.host = headers[':authority'];
+  }
+
+  const host = headers.host;
   if (!host) {
     return [DEFAULT, headers];
   }
 
+  return [parseHost(host, baseDomains).subdomain, headers];
+}
+
+/**
+ * Split a Host header into a lowercase hostname and port
+ * e.g. API.example.com:8080 -> { hostname: 'api.example.com', port: '8080' }, [::1]:3000 -> { hostname: '::1', port: '3000' }
+ */
+export function splitHost(host) {
   // Remove protocol if present
-  if (host.startsWith('http://')) {
-    host = host.replace('http://', '');
-  } else if (host.startsWith('https://')) {
-    host = host.replace('https://', '');
+  host = host.replace(/^https?:\/\//, '');
+
+  if (host.startsWith('[')) {
+    const end = host.indexOf(']');
+    return { hostname: host.slice(1, end).toLowerCase(), port: host.slice(end + 2) || null };
   }
 
-  // Remove port
-  host = host.split(':')[0];
+  const [hostname, port = null] = host.split(':');
+  return { hostname: hostname.toLowerCase().replace(/\.$/, ''), port };
+}
+
+/**
+ * Split a Host header into subdomain, base domain and port
+ * e.g. api.example.com:8080 -> { subdomain: 'api', domain: 'example.com', port: '8080' }
+ *
+ * @param {string[]} baseDomains - Known base domains (e.g. ['example.co.uk']): the longest one the
+ *   host ends with decides where the subdomain stops. Without one, the last two labels are the domain.
+ */
+export function parseHost(host, baseDomains = []) {
+  const { hostname, port } = splitHost(host);
 
   // Check if it's an IP address
-  if (isIP(host)) {
-    return [DEFAULT, headers];
+  if (isIP(hostname)) {
+    return { subdomain: DEFAULT, domain: hostname, port };
+  }
+
+  const base = baseDomains
+    .filter(domain => hostname === domain || hostname.endsWith(`.${domain}`))
+    .reduce((longest, domain) => domain.length > longest.length ? domain : longest, '');
+  if (base) {
+    const subdomain = hostname === base ? DEFAULT : hostname.slice(0, -base.length - 1);
+    return { subdomain, domain: base, port };
   }
 
-  const parts = host.split('.');
+  const parts = hostname.split('.');
   const hasSubdomain = parts.length > 2;
 
-  return hasSubdomain ? [parts[0], headers] : [DEFAULT, headers];
+  return hasSubdomain
+    ? { subdomain: parts[0], domain: parts.slice(1).join('.'), port }
+    : { subdomain: DEFAULT, domain: hostname, port };
+}
+
+/**
+ * Compile a vhost pattern into a matcher for lowercase hostnames. It returns the
+ * captured host parts (positional, plus named groups) or null.
+ * Patterns are an exact host, a host with '*' labels (one or more labels) and
+ * ':name' labels (exactly one label), or a RegExp.
+ * e.g. '*.tenant.example.com', ':tenant.example.com', /^(?<tenant>[a-z]+)\.example\.(com|org)$/
+ */
+export function compileHostPattern(pattern) {
+  let regex = pattern;
+  if (!(pattern instanceof RegExp)) {
+    const source = String(pattern).split('.').map((label) => {
+      if (label === '*') {
+        return '([^.]+(?:\\.[^.]+)*)';
+      }
+      if (label.startsWith(':')) {
+        const name = label.slice(1);
+        if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+          throw new TypeError(`Invalid host parameter '${label}' in '${pattern}'`);
+        }
+        return `(?<${name}>[^.]+)`;
+      }
+      return label.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('\\.');
+    regex = new RegExp(`^${source}$`);
+  }
+
+  return (hostname) => {
+    regex.lastIndex = 0; // Global/sticky patterns would otherwise resume from the last match
+    const match = regex.exec(hostname);
+    return match ? { ...match.slice(1), ...match.groups } : null;
+  };
 }
 
 /**
@@ -101,35 +171,173 @@ export class Lookup {
 }
 
 /**
- * Convert string handler reference to actual function
+ * Convert string handler reference ('./handlers/users.js:show') to a function,
+ * resolved through the router's HandlerLoader
  */
-export function stringToFunctionHandler(handler) {
+export function stringToFunctionHandler(handler, loader) {
   if (typeof handler === 'string') {
-    // For now, just return a placeholder function
-    // In a real implementation, you'd dynamically import the module
-    return async (req, res, ctx) => {
-      throw new Error(`String handler not implemented: ${handler}`);
-    };
+    return loader.handler(handler);
   }
   return handler;
 }
 
+// :name, then an optional :type, then an optional (regex), then an optional ?
+const PARAM_SEGMENT = /^:([^:()?]+)(?::([^:()?]+))?(?:\((.+)\))?(\?)?$/;
+
 /**
  * Check if a route segment is a parameter (starts with :)
- * Returns [segment, paramName, typeHint]
+ * Returns [segment, paramName, typeHint, pattern, optional]
  * Examples:
- *   :id -> [':id', 'id', null]
- *   :id:int -> [':id:int', 'id', 'int']
- *   :name:string -> [':name:string', 'name', 'string']
+ *   :id -> [':id', 'id', null, null, false]
+ *   :id:int -> [':id:int', 'id', 'int', null, false]
+ *   :id(\d+) -> [':id(\d+)', 'id', null, '\d+', false]
+ *   :lang? -> [':lang?', 'lang', null, null, true]
  */
 export function isParam(segment) {
   if (segment.startsWith(':')) {
-    const parts = segment.slice(1).split(':');
-    const paramName = parts[0];
-    const typeHint = parts[1] || null;
-    return [segment, paramName, typeHint];
+    const match = PARAM_SEGMENT.exec(segment);
+    if (!match) {
+      throw new UrlError(`Malformed route parameter ${segment}`);
+    }
+    const [, paramName, typeHint = null, pattern = null, optional] = match;
+    return [segment, paramName, typeHint, pattern, Boolean(optional)];
+  }
+  return [segment, null, null, null, false];
+}
+
+/**
+ * Fill a route pattern with parameter values
+ * e.g. reverse('/users/:id:int', { id: 5 }) -> '/users/5'
+ * A trailing *name is filled from params.name, a bare * from params['*'] (slashes are kept)
+ */
+export function reverse(route, params = {}) {
+  const parts = [];
+
+  for (const segment of route.split('/')) {
+    if (segment.startsWith('*')) {
+      const rest = params[segment.slice(1) || '*'];
+      if (rest !== undefined && rest !== null && rest !== '') {
+        parts.push(String(rest).split('/').map(encodeURIComponent).join('/'));
+      }
+      continue;
+    }
+
+    const [, paramName, , , optional] = isParam(segment);
+    if (!paramName) {
+      parts.push(segment);
+      continue;
+    }
+
+    const value = params[paramName];
+    if (value === undefined || value === null) {
+      if (optional) continue;
+      throw new UrlError(`Missing parameter '${paramName}' for route ${route}`);
+    }
+    parts.push(encodeURIComponent(String(value)));
+  }
+
+  return parts.join('/') || '/';
+}
+
+/**
+ * Pathname of a request target, still percent-encoded
+ * e.g. '/files/a%20b?x=1' -> '/files/a%20b'
+ * Returns null for an absolute-form target that is not a valid URL.
+ */
+export function rawPathname(target = '/') {
+  // Absolute-form targets (GET http://host/path HTTP/1.1) carry their own origin
+  if (/^[a-z][a-z\d+.-]*:\/\//i.test(target)) {
+    try {
+      return new URL(target).pathname;
+    } catch {
+      return null;
+    }
+  }
+  return target.split(/[?#]/)[0] || '/';
+}
+
+/**
+ * Query string of a request target, without the '?'
+ * e.g. '/files/a%20b?x=1' -> 'x=1'. Read as is, so the Host header never comes into it.
+ */
+export function rawQuery(target = '') {
+  const start = target.indexOf('?');
+  return start === -1 ? '' : target.slice(start + 1).split('#')[0];
+}
+
+/**
+ * Decode and normalise a request path before routing.
+ * Each segment is percent-decoded on its own, except that '%' and '/' stay encoded
+ * (%25, %2F): decoding never changes how a path splits into segments, and
+ * /a%2Fb and /a%252Fb stay different paths. See unescapeSegment().
+ * Empty segments (//) are dropped and '.' / '..' resolved without climbing above the root.
+ * Returns null for malformed encodings, NUL bytes and unparseable targets (rawPathname).
+ */
+export function normalizePath(rawPath) {
+  if (rawPath === null || rawPath === undefined) {
+    return null;
   }
-  return [segment, null, null];
+  const parts = rawPath.split('/');
+  const segments = [];
+  let directory = false; // Whether the path ends in a slash (or a dot segment)
+
+  for (const part of parts) {
+    let segment;
+    try {
+      segment = decodeURIComponent(part);
+    } catch {
+      return null;
+    }
+    if (segment.includes('\0')) {
+      return null;
+    }
+
+    directory = segment === '' || segment === '.' || segment === '..';
+    if (segment === '..') {
+      segments.pop();
+    } else if (!directory) {
+      segments.push(segment.replace(/%/g, '%25').replace(/\//g, '%2F'));
+    }
+  }
+
+  const path = `/${segments.join('/')}`;
+  return directory && segments.length > 0 ? `${path}/` : path;
+}
+
+/**
+ * Fully decode a segment of a normalised path: the %2F and %25 normalizePath keeps
+ * become '/' and '%' (route param values are unescaped this way)
+ */
+export function unescapeSegment(segment) {
+  return segment.replace(/%2F|%25/g, escape => (escape === '%2F' ? '/' : '%'));
+}
+
+/**
+ * Percent-encode a normalised path again, e.g. for a Location header
+ */
+export function encodePath(path) {
+  return path.split('/').map(segment => encodeURIComponent(unescapeSegment(segment))).join('/');
+}
+
+/**
+ * Whether a path ends in a slash (the root path does not count)
+ */
+export function hasTrailingSlash(path) {
+  return path.length > 1 && path.endsWith('/');
+}
+
+/**
+ * Bring a path into the canonical form of a redirect-add / redirect-remove policy;
+ * other policies leave it untouched. Catch-all paths never gain a slash.
+ */
+export function canonicalizeSlash(path, policy) {
+  if (policy === TRAILING_SLASH_REMOVE && hasTrailingSlash(path)) {
+    return path.replace(/\/+$/, '');
+  }
+  if (policy === TRAILING_SLASH_ADD && path !== '/' && !path.endsWith('/') && !/\/\*[^/]*$/.test(path)) {
+    return `${path}/`;
+  }
+  return path;
 }
 
 /**
@@ -166,6 +374,82 @@ export function coerceType(value, typeHint) {
   }
 }
 
+// Shared by every router, so mount() can tell the built-in types apart from redefinitions
+const asIs = (value) => value;
+const INT_TYPE = {
+  pattern: /^[-+]?\d+$/,
+  parse: (value) => coerceType(value, 'int'),
+  schema: { type: 'integer' }
+};
+const FLOAT_TYPE = {
+  pattern: /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/,
+  parse: (value) => coerceType(value, 'float'),
+  schema: { type: 'number' }
+};
+const BOOL_TYPE = {
+  pattern: /^(true|false|1|0)$/,
+  parse: (value) => coerceType(value, 'bool'),
+  schema: { type: 'boolean' }
+};
+const STRING_TYPE = {
+  pattern: /^[\s\S]+$/,
+  parse: asIs,
+  schema: { type: 'string' }
+};
+
+/**
+ * Built-in types for typed route segments (:id:int).
+ * A segment must match the type's anchored pattern for the route to match at all;
+ * the parsed value is what ends up in req.params.
+ */
+export function defaultParamTypes() {
+  return new Map([
+    ['int', INT_TYPE], ['integer', INT_TYPE],
+    ['float', FLOAT_TYPE], ['number', FLOAT_TYPE],
+    ['bool', BOOL_TYPE], ['boolean', BOOL_TYPE],
+    ['string', STRING_TYPE], ['str', STRING_TYPE]
+  ]);
+}
+
+/**
+ * Whether two normalized param types match and parse segments the same way
+ */
+export function sameParamType(a, b) {
+  return a === b || (a.pattern.source === b.pattern.source && a.pattern.flags === b.pattern.flags && a.parse === b.parse);
+}
+
+/**
+ * Normalize a user supplied param type definition.
+ * Accepts { pattern, parse, schema } or { enum: [...] }; string patterns and
+ * RegExps are anchored so they must match the whole segment.
+ */
+export function normalizeParamType(name, definition = {}) {
+  if (Array.isArray(definition.enum)) {
+    const escaped = definition.enum.map(value => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return {
+      pattern: new RegExp(`^(?:${escaped.join('|')})$`),
+      parse: definition.parse || asIs,
+      schema: definition.schema || { type: 'string', enum: definition.enum.map(String) }
+    };
+  }
+
+  const { pattern } = definition;
+  if (!(pattern instanceof RegExp) && typeof pattern !== 'string') {
+    throw new TypeError(`Param type '${name}' needs a pattern (RegExp or string) or an enum list`);
+  }
+  if (definition.parse !== undefined && typeof definition.parse !== 'function') {
+    throw new TypeError(`Param type '${name}' parse must be a function`);
+  }
+
+  const source = pattern instanceof RegExp ? pattern.source : pattern;
+  const flags = pattern instanceof RegExp ? pattern.flags.replace(/[gy]/g, '') : '';
+  return {
+    pattern: new RegExp(`^(?:${source})$`, flags),
+    parse: definition.parse || asIs,
+    schema: definition.schema || { type: 'string', pattern: `^(?:${source})$` }
+  };
+}
+
 /**
  * Parse query string into object
  */
@@ -0,0 +1,5 @@
+// Fixture for tests/test_string_handlers.js: a setup function for app.call()
+export function configure(router, prefix) {
+  router.GET(`${prefix}/status`, (req, res) => { res.json({ prefix }); });
+  router.GET(`${prefix}/users/:id`, './handlers/users.js:show');
+}
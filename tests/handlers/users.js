@@ -0,0 +1,23 @@
+// Fixture for tests/test_string_handlers.js: counts how often it is imported
+globalThis.usersHandlerImports = (globalThis.usersHandlerImports || 0) + 1;
+
+export function show(req, res) {
+  res.body = { id: req.params.id };
+}
+
+export function stamp(req, res) {
+  res.setHeader('x-stamped', 'yes');
+}
+
+export function guard(req, res) {
+  if (req.headers.authorization !== 'Bearer ok') {
+    res.status = 401;
+    res.body = { error: 'Unauthorized' };
+  }
+}
+
+export const notAFunction = 42;
+
+export default function index(req, res) {
+  res.body = 'users';
+}
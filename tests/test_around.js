@@ -0,0 +1,196 @@
+import { Router, NotFoundError } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+async function testOnionOrder() {
+  console.log('\n--- Testing AROUND onion order ---');
+  const app = new Router();
+  const order = [];
+
+  app.BEFORE('/*', () => { order.push('before'); });
+  app.AROUND('/*', async (req, res, ctx, next) => {
+    order.push('outer:in');
+    await next();
+    order.push('outer:out');
+  });
+  app.AROUND('/users/*', async (req, res, ctx, next) => {
+    order.push('inner:in');
+    await next();
+    order.push('inner:out');
+  });
+  app.AFTER('/*', () => { order.push('after'); });
+  app.param('id', (id) => { order.push('loader'); return { id }; });
+  app.GET('/users/:id', (req, res) => { order.push('handler'); res.body = 'ok'; });
+
+  const res = await app.inject('/users/1');
+  assert(res.body === 'ok', 'Handler ran inside the layers');
+  assert(order.join(',') === 'before,outer:in,inner:in,loader,handler,inner:out,outer:out,after', 'Layers nest in registration order around loaders and handler');
+}
+
+async function testWrapping() {
+  console.log('\n--- Testing AROUND timing, errors, retries and short-circuits ---');
+  const app = new Router();
+  let attempts = 0;
+  let cleaned = false;
+
+  app.AROUND('/timed', async (req, res, ctx, next) => {
+    const start = Date.now();
+    await next();
+    res.setHeader('x-elapsed', String(Date.now() - start));
+  });
+  app.GET('/timed', async (req, res) => { res.body = 'timed'; });
+
+  app.AROUND('/guarded', async (req, res, ctx, next) => {
+    try {
+      await next();
+    } catch (error) {
+      res.status = 503;
+      res.body = { caught: error.message };
+    } finally {
+      cleaned = true;
+    }
+  });
+  app.GET('/guarded', () => { throw new Error('boom'); });
+
+  app.AROUND('/flaky', async (req, res, ctx, next) => {
+    for (let i = 0; i < 3; i++) {
+      try {
+        return await next();
+      } catch (error) {
+        if (i === 2) throw error;
+      }
+    }
+  });
+  app.GET('/flaky', (req, res) => {
+    attempts++;
+    if (attempts < 3) throw new Error('transient');
+    res.body = `attempt ${attempts}`;
+  });
+
+  app.AROUND('/closed', async (req, res) => {
+    res.status = 403;
+    res.body = 'closed';
+  });
+  app.GET('/closed', (req, res) => { res.body = 'should not run'; });
+
+  const timed = await app.inject('/timed');
+  assert(timed.body === 'timed' && timed.headers['x-elapsed'] !== undefined, 'AROUND can run code after the handler');
+
+  const guarded = await app.inject('/guarded');
+  assert(guarded.status === 503 && guarded.json().caught === 'boom', 'AROUND can catch handler errors');
+  assert(cleaned, 'AROUND can clean up after the handler');
+
+  const flaky = await app.inject('/flaky');
+  assert(flaky.body === 'attempt 3', 'Calling next() again retries the handler');
+
+  const closed = await app.inject('/closed');
+  assert(closed.status === 403 && closed.body === 'closed', 'Not calling next() skips the handler');
+
+  const missing = new Router();
+  missing.AROUND('/*', async (req, res, ctx, next) => {
+    try {
+      await next();
+    } catch (error) {
+      res.status = error.statusCode;
+      res.body = 'mapped';
+    }
+  });
+  missing.param('id', () => { throw new NotFoundError('No such user'); });
+  missing.GET('/users/:id', () => { });
+  const mapped = await missing.inject('/users/9');
+  assert(mapped.status === 404 && mapped.body === 'mapped', 'Param loader errors reach the AROUND layer');
+}
+
+async function testUseAndGroups() {
+  console.log('\n--- Testing app.use() and groups with AROUND ---');
+  const app = new Router();
+  const order = [];
+
+  app.use('/*', async (req, res, ctx, next) => {
+    order.push('use:in');
+    await next();
+    order.push('use:out');
+  });
+  app.use('/*', (req, res, ctx) => { order.push('use:before'); });
+
+  const api = app.group('/api');
+  api.use((handler) => async (req, res, ctx) => {
+    order.push('interceptor');
+    return handler(req, res, ctx);
+  });
+  api.use(async (req, res, ctx, next) => {
+    order.push('group:in');
+    await next();
+    order.push('group:out');
+  });
+  api.AROUND('/*', async (req, res, ctx, next) => {
+    order.push('api:in');
+    await next();
+    order.push('api:out');
+  });
+  api.GET('/items', (req, res) => { order.push('handler'); res.body = 'items'; });
+  app.GET('/plain', (req, res) => { order.push('handler'); res.body = 'plain'; });
+
+  await app.inject('/api/items');
+  assert(order.join(',') === 'use:before,use:in,api:in,interceptor,group:in,handler,group:out,api:out,use:out', 'use() takes AROUND middleware; group interceptors run innermost');
+
+  order.length = 0;
+  await app.inject('/plain');
+  assert(order.join(',') === 'use:before,use:in,handler,use:out', 'Group layers do not apply outside the group');
+
+  const table = app.routes().find(route => route.path === '/api/items');
+  assert(table.arounds.length === 2 && table.arounds[1].pattern === '/api/*', 'AROUND layers are listed by routes()');
+}
+
+async function testSubdomainsAndMount() {
+  console.log('\n--- Testing AROUND with subdomains and mount() ---');
+  const app = new Router();
+  const order = [];
+  app.subdomain('api');
+  app.AROUND('/*', async (req, res, ctx, next) => { order.push('www'); await next(); }, 'www');
+  app.AROUND('/*', async (req, res, ctx, next) => { order.push('api'); await next(); }, 'api');
+  app.GET('/', (req, res) => { res.body = 'www'; });
+  app.GET('/', (req, res) => { res.body = 'api'; }, 'api');
+
+  await app.inject({ url: '/', headers: { host: 'api.example.com' } });
+  assert(order.join(',') === 'api', 'Subdomains keep their own layers');
+
+  const parent = new Router();
+  const child = new Router();
+  const seen = [];
+  parent.AROUND('/*', async (req, res, ctx, next) => { seen.push('parent'); await next(); });
+  child.AROUND('/*', async (req, res, ctx, next) => { seen.push('child'); await next(); });
+  child.GET('/status', (req, res) => { res.body = 'up'; });
+  parent.mount(child, true, '/child');
+
+  const res = await parent.inject('/child/status');
+  assert(res.body === 'up' && seen.join(',') === 'parent,child', 'Mounted layers are prefixed and nest inside the parent');
+}
+
+async function run() {
+  try {
+    await testOnionOrder();
+    await testWrapping();
+    await testUseAndGroups();
+    await testSubdomainsAndMount();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,160 @@
+import http from 'http';
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const source = pathToFileURL(path.join(__dirname, '../src/index.js')).href;
+const PORT = 3017;
+
+const childCode = `
+import { Router } from '${source}';
+
+const app = new Router();
+app.ONCE('startup', () => console.log('STARTUP ' + process.pid));
+app.DAEMON(() => console.log('PRIMARY_DAEMON ' + process.pid), { primary: true });
+app.DAEMON(() => console.log('WORKER_DAEMON ' + process.pid));
+app.GET('/pid', (req, res) => { res.body = String(process.pid); });
+app.GET('/crash', () => { process.exit(1); });
+
+app.on('online', (worker) => console.log('ONLINE ' + worker.process.pid));
+app.on('crash', ({ delay }) => console.log('CRASH ' + delay));
+app.on('reloaded', () => console.log('RELOADED'));
+
+app.listen({ port: ${PORT}, host: '127.0.0.1', workers: 2, restartDelay: 50, shutdownTimeout: 2000 });
+`;
+
+/**
+ * Child process whose output can be awaited line by line
+ */
+function spawnCluster(script) {
+  const child = spawn(process.execPath, [script], { stdio: ['ignore', 'pipe', 'pipe'] });
+  child.lines = [];
+  child.waiters = [];
+  const consume = (data) => {
+    for (const line of String(data).split('\n').filter(Boolean)) {
+      child.lines.push(line);
+      child.waiters = child.waiters.filter(({ pattern, resolve }) => !(pattern.test(line) && (resolve(line), true)));
+    }
+  };
+  child.stdout.on('data', consume);
+  child.stderr.on('data', consume);
+  child.waitFor = (pattern, ms = 10000) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${pattern}:\n${child.lines.join('\n')}`)), ms);
+    child.waiters.push({ pattern, resolve: (line) => { clearTimeout(timer); resolve(line); } });
+  });
+  return child;
+}
+
+function get(urlPath) {
+  return new Promise((resolve) => {
+    http.get({ host: '127.0.0.1', port: PORT, path: urlPath, agent: false }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve(body));
+    }).on('error', () => resolve(null));
+  });
+}
+
+function pids(lines, prefix) {
+  return lines.filter(line => line.startsWith(prefix)).map(line => line.split(' ')[1]);
+}
+
+async function testCluster(child) {
+  console.log('\n--- Testing listen({ workers }) ---');
+  await child.waitFor(/^Cluster running/);
+  const workers = pids(child.lines, 'ONLINE');
+
+  assert(workers.length === 2, 'Two workers are forked');
+  assert(!workers.includes(String(child.pid)), 'The primary does not serve requests itself');
+  assert(pids(child.lines, 'STARTUP').sort().join() === workers.sort().join(), 'STARTUP hooks run once per worker');
+  assert(pids(child.lines, 'WORKER_DAEMON').length === 2, 'Daemons run in every worker');
+  assert(pids(child.lines, 'PRIMARY_DAEMON').join() === String(child.pid), 'Primary-only daemons run once, in the primary');
+
+  const served = new Set();
+  for (let i = 0; i < 6; i++) {
+    served.add(await get('/pid'));
+  }
+  assert([...served].every(pid => workers.includes(pid)), 'Workers answer on the shared port');
+}
+
+async function testCrashRestart(child) {
+  console.log('\n--- Testing crashed workers are restarted ---');
+  const online = child.waitFor(/^ONLINE/);
+  await get('/crash');
+  const crash = await child.waitFor(/^CRASH/);
+  assert(crash === 'CRASH 50', 'First restart waits restartDelay');
+  await online;
+  assert(pids(child.lines, 'ONLINE').length === 3, 'A replacement worker comes online');
+  assert(/^\d+$/.test(await get('/pid')), 'The cluster keeps serving');
+}
+
+async function testRollingReload(child) {
+  console.log('\n--- Testing SIGHUP rolling reload ---');
+  const before = new Set(pids(child.lines, 'ONLINE'));
+  const reloaded = child.waitFor(/^RELOADED/, 20000);
+  child.kill('SIGHUP');
+
+  let done = false;
+  let errors = 0;
+  let requests = 0;
+  reloaded.then(() => { done = true; }, () => { done = true; });
+  while (!done) {
+    const pid = await get('/pid');
+    requests++;
+    if (!pid) errors++;
+  }
+  await reloaded;
+
+  const fresh = pids(child.lines, 'ONLINE').filter(pid => !before.has(pid));
+  assert(fresh.length === 2, 'Every worker is replaced');
+  assert(requests > 0 && errors === 0, `No request fails during the reload (${requests} sent)`);
+  assert(fresh.includes(await get('/pid')), 'Replacement workers serve afterwards');
+}
+
+async function testShutdown(child) {
+  console.log('\n--- Testing SIGTERM drains the cluster ---');
+  const exited = new Promise(resolve => child.once('exit', (code) => resolve(code)));
+  child.kill('SIGTERM');
+  assert(await exited === 0, 'Primary exits cleanly once workers are drained');
+  assert(await get('/pid') === null, 'Nothing listens afterwards');
+}
+
+async function run() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routerling-cluster-'));
+  const script = path.join(dir, 'app.js');
+  fs.writeFileSync(script, childCode);
+  const child = spawnCluster(script);
+
+  try {
+    await testCluster(child);
+    await testCrashRestart(child);
+    await testRollingReload(child);
+    await testShutdown(child);
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    process.exitCode = failed > 0 ? 1 : 0;
+  } catch (e) {
+    console.error(e);
+    process.exitCode = 1;
+  } finally {
+    if (child.exitCode === null) child.kill('SIGKILL');
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+run();
@@ -90,7 +90,7 @@ app.GET('/', (req, res) => {
 });
 
 // Start server
-const server = app.listen(3002, 'localhost', () => {
+app.listen(3002, 'localhost', () => {
   console.log('\n=== Server Started ===');
   console.log('HTTP: http://localhost:3002');
   console.log('WebSocket: ws://localhost:3002/ws\n');
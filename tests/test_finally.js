@@ -0,0 +1,178 @@
+import net from 'net';
+import { Router, NotFoundError, errorHandler } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+// Expected errors are logged by the router; keep the test output readable
+async function quietly(fn) {
+  const originalError = console.error;
+  console.error = () => { };
+  try {
+    return await fn();
+  } finally {
+    console.error = originalError;
+  }
+}
+
+function recorder(app, options) {
+  const log = [];
+  app.FINALLY('/*', (req, res, ctx, error) => {
+    log.push({ url: req.url, status: res.status, error: error ? error.message : null, started: ctx.started });
+  }, options);
+  return log;
+}
+
+async function testEveryOutcome() {
+  console.log('\n--- Testing FINALLY for every outcome ---');
+  const app = new Router();
+  const log = recorder(app);
+  const afters = [];
+
+  app.BEFORE('/*', (req, res, ctx) => { ctx.keep('started', true); });
+  app.AFTER('/*', (req) => { afters.push(req.url); });
+  app.GET('/ok', (req, res) => { res.body = 'ok'; });
+  app.GET('/abort', (req, res) => { res.status = 401; res.abort('nope'); });
+  app.GET('/boom', () => { throw new Error('boom'); });
+  app.GET('/gone', () => { throw new NotFoundError('gone'); });
+  app.POST('/only-post', () => { });
+
+  await app.inject('/ok');
+  await app.inject('/missing');
+  await app.inject('/abort');
+  await quietly(() => app.inject('/boom'));
+  await app.inject('/gone');
+  await app.inject('/only-post');
+
+  assert(afters.length === 1 && afters[0] === '/ok', 'AFTER still runs only for handled requests');
+  assert(log.length === 6, 'FINALLY ran for every request');
+  assert(log[0].status === 200 && log[0].error === null, 'Handled request: final status, no error');
+  assert(log[1].status === 404 && log[1].error === null, '404 reaches FINALLY');
+  assert(log[2].status === 401 && log[2].error === null, 'Aborts reach FINALLY with their status');
+  assert(log[3].status === 500 && log[3].error === 'boom', 'Errors reach FINALLY with the error');
+  assert(log[4].status === 404 && log[4].error === 'gone', 'HttpErrors reach FINALLY with their status');
+  assert(log[5].status === 405, '405 reaches FINALLY');
+  assert(log[3].started === true, 'The error path keeps the context hooks wrote to');
+}
+
+async function testErrorHandlerAndSend() {
+  console.log('\n--- Testing FINALLY with app.ERROR and response changes ---');
+  const app = new Router();
+  const log = recorder(app);
+
+  app.ERROR(errorHandler({ logger: null }));
+  app.GET('/teapot', () => {
+    const error = new Error('short and stout');
+    error.statusCode = 418;
+    throw error;
+  });
+  app.FINALLY('/*', (req, res) => { res.setHeader('x-request-id', 'abc'); });
+  app.FINALLY('/*', () => { throw new Error('hook failure'); });
+  app.GET('/fine', (req, res) => { res.body = 'fine'; });
+
+  const teapot = await quietly(() => app.inject('/teapot'));
+  assert(log[0].status === 418 && log[0].error === 'short and stout', 'FINALLY sees the status app.ERROR chose');
+  assert(teapot.headers['x-request-id'] === 'abc', 'FINALLY runs before the response is sent');
+
+  const fine = await quietly(() => app.inject('/fine'));
+  assert(fine.body === 'fine', 'A throwing FINALLY hook does not break the response');
+}
+
+async function testFlushed() {
+  console.log('\n--- Testing FINALLY after the response is flushed ---');
+  const app = new Router();
+  const events = [];
+
+  app.FINALLY('/*', (req, res) => { events.push(`before-send:${res._sent}`); });
+  app.FINALLY('/*', (req, res, ctx, error) => { events.push(`flushed:${res._sent}:${res.status}`); }, { flushed: true });
+  app.GET('/file', async (req, res) => { await res.sendFile('test_file.txt', { root: './tests/public' }); });
+  app.GET('/', (req, res) => { res.body = 'home'; });
+
+  await app.inject('/');
+  await new Promise(resolve => setImmediate(resolve));
+  assert(events.join(',') === 'before-send:false,flushed:true:200', 'Flushed hooks run after send');
+
+  events.length = 0;
+  await app.inject('/file');
+  await new Promise(resolve => setImmediate(resolve));
+  assert(events.join(',') === 'before-send:true,flushed:true:200', 'Flushed hooks wait for streamed files');
+
+  const routes = app.routes().find(route => route.path === '/');
+  assert(routes.finals.length === 2, 'FINALLY hooks are listed by routes()');
+}
+
+async function testMount() {
+  console.log('\n--- Testing FINALLY with mount() ---');
+  const parent = new Router();
+  const child = new Router();
+  const seen = [];
+
+  child.FINALLY('/*', (req, res) => { seen.push(`child:${res.status}`); });
+  child.GET('/status', (req, res) => { res.body = 'up'; });
+  parent.mount(child, true, '/child');
+
+  await parent.inject('/child/status');
+  await parent.inject('/child/nothing');
+  await parent.inject('/elsewhere');
+  assert(seen.join(',') === 'child:200,child:404', 'Mounted FINALLY hooks keep their prefix');
+}
+
+async function testMalformedTarget() {
+  console.log('\n--- Testing FINALLY with a malformed request target ---');
+  const app = new Router();
+  const log = recorder(app);
+  const flushed = recorder(app, { flushed: true });
+  app.GET('/status', (req, res) => { res.body = 'up'; });
+
+  const injected = await app.inject('http://[bad/');
+  assert(injected.status === 400, 'An unparseable absolute-form target answers 400');
+
+  const originalLog = console.log;
+  console.log = () => { };
+  const { port } = await app.listen({ port: 0, host: '127.0.0.1', signals: false });
+  console.log = originalLog;
+
+  const reply = await new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => {
+      socket.end('GET http://[bad/ HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+    });
+    let data = '';
+    socket.on('data', chunk => { data += chunk; });
+    socket.on('end', () => resolve(data));
+    socket.on('error', reject);
+  });
+  assert(reply.startsWith('HTTP/1.1 400'), 'The same target over a socket answers 400 instead of crashing');
+
+  const status = await app.inject('/status');
+  assert(status.status === 200, 'The router keeps serving afterwards');
+  assert(log.length === 1 && log[0].url === '/status' && flushed.length === 1, 'Requests without a path match no FINALLY hooks');
+  await app.close();
+}
+
+async function run() {
+  try {
+    await testEveryOutcome();
+    await testErrorHandlerAndSend();
+    await testFlushed();
+    await testMount();
+    await testMalformedTarget();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,124 @@
+import { Router } from '../src/index.js';
+import { Routes } from '../src/routes.js';
+import { HookTrie } from '../src/hooks.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+const PATTERNS = [
+  '/*', '/', '/users', '/users/', '/users/*', '/users/:id', '/users/me', '/users/:id/posts',
+  '/users/:id/*', '/api/*', '/api/v1/:resource', '/files/*', '/a/*/b', '/:any', '/:a/:b/'
+];
+const PATHS = [
+  '/', '/users', '/users/', '/users/7', '/users/me', '/users/7/posts', '/users/7/posts/',
+  '/api', '/api/v1/items', '/api/v2/x/y', '/files/a/b.txt', '/a/x/b', '/a/*/b', '/other', '/x/y/'
+];
+
+function hookMap() {
+  const hooks = new Map();
+  PATTERNS.forEach((pattern, index) => hooks.set(pattern, [`h${index}`]));
+  return hooks;
+}
+
+async function testTrieMatchesScanning() {
+  console.log('\n--- Testing HookTrie against matchesPattern ---');
+
+  for (const trailingSlash of ['ignore', 'strict']) {
+    const routes = new Routes(undefined, { trailingSlash });
+    const trie = new HookTrie(hookMap(), trailingSlash === 'strict');
+    let mismatches = 0;
+
+    for (const path of PATHS) {
+      const scanned = PATTERNS.filter(pattern => routes.matchesPattern(pattern, path));
+      const compiled = trie.match(path).map(({ pattern }) => pattern);
+      if (scanned.join('|') !== compiled.join('|')) {
+        console.error(`  ${trailingSlash} ${path}: scanned ${scanned} compiled ${compiled}`);
+        mismatches++;
+      }
+    }
+    assert(mismatches === 0, `Trie matches the scanning rules (${trailingSlash})`);
+  }
+}
+
+async function testRouteResolution() {
+  console.log('\n--- Testing per-route chains ---');
+  const trie = new HookTrie(hookMap());
+
+  const list = trie.resolve('/api/v1/:resource').map(({ pattern }) => pattern);
+  assert(list.join(',') === '/*,/api/*,/api/v1/:resource', 'Route chains are resolved from the template');
+  assert(trie.resolve('/users/:id') === null, 'A literal pattern under a route param leaves the chain to the path');
+  const files = new HookTrie(new Map([['/*', ['all']], ['/files/*', ['files']]]));
+  assert(files.resolve('/files/*path').length === 2, 'Catch-alls resolve when nothing sits below them');
+  assert(trie.resolve('/users/*rest') === null, 'Catch-alls with patterns below them depend on the path');
+  assert(trie.resolve('/:lang?/docs') === null, 'Optional segments depend on the path');
+}
+
+async function testRequests() {
+  console.log('\n--- Testing compiled hooks on requests ---');
+  const app = new Router();
+  const order = [];
+  const hook = (name) => (req) => { order.push(name); };
+
+  app.BEFORE('/users/:id', hook('a'));
+  app.BEFORE('/*', hook('b'));
+  app.BEFORE('/users/:id', hook('c'));
+  app.BEFORE('/users/me', hook('me'));
+  app.GET('/users/:id', (req, res) => { order.push(`handler:${req.route}`); res.body = 'ok'; });
+
+  await app.inject('/users/7');
+  assert(order.join(',') === 'a,c,b,handler:/users/:id', 'Order follows registration, grouped by pattern');
+
+  order.length = 0;
+  await app.inject('/users/me');
+  assert(order.join(',') === 'a,c,b,me,handler:/users/:id', 'Literal hooks under a param still apply to their path');
+
+  order.length = 0;
+  const missing = await app.inject('/nowhere');
+  assert(missing.status === 404 && order.join(',') === 'b', 'Unmatched paths walk the trie');
+
+  order.length = 0;
+  app.BEFORE('/users/*', hook('late'));
+  await app.inject('/users/7');
+  assert(order.includes('late'), 'Hooks added after the first request are compiled in');
+
+  const items = new Router();
+  items.BEFORE('/*', hook('items'));
+  items.GET('/items/:id', (req, res) => { res.body = 'item'; });
+  const engine = items.subdomains.get('www');
+  assert(engine.chainFor('/items/1', '/items/:id') === engine.chainFor('/items/2', '/items/:id'), 'Resolved chains are shared by every path of a route');
+  assert(app.subdomains.get('www')._compiled.chains.get('/users/:id') === null, 'Path-dependent routes have no precompiled chain');
+
+  const child = new Router();
+  child.BEFORE('/*', hook('child'));
+  child.GET('/ping', (req, res) => { res.body = 'pong'; });
+  app.mount(child, true, '/child');
+  order.length = 0;
+  await app.inject('/child/ping');
+  assert(order.join(',') === 'b,child', 'Mounted hooks are compiled with their prefix');
+}
+
+async function run() {
+  try {
+    await testTrieMatchesScanning();
+    await testRouteResolution();
+    await testRequests();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
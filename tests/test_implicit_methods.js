@@ -0,0 +1,97 @@
+import { Router, cors } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+async function testImplicitHead() {
+  console.log('\n--- Testing implicit HEAD ---');
+  const app = new Router();
+  let calls = 0;
+
+  app.GET('/report', (req, res) => {
+    calls++;
+    res.setHeader('x-report', 'yes');
+    res.json({ rows: [1, 2, 3] });
+  });
+  app.GET('/file', async (req, res) => {
+    await res.sendFile('test_file.txt', { root: './tests/public' });
+  });
+
+  const get = await app.inject({ method: 'GET', url: '/report' });
+  const head = await app.inject({ method: 'HEAD', url: '/report' });
+  assert(calls === 2, 'HEAD runs the GET handler');
+  assert(head.status === 200, 'HEAD keeps the GET status');
+  assert(head.body === '', 'HEAD strips the body');
+  assert(head.headers['x-report'] === 'yes', 'HEAD keeps custom headers');
+  assert(Number(head.headers['content-length']) === get.body.length, 'HEAD reports the GET content-length');
+
+  const file = await app.inject({ method: 'HEAD', url: '/file' });
+  assert(file.body === '' && Number(file.headers['content-length']) > 0, 'HEAD on sendFile sends headers only');
+}
+
+async function testExplicitWins() {
+  console.log('\n--- Testing explicit HEAD/OPTIONS routes ---');
+  const app = new Router();
+
+  app.GET('/thing', (req, res) => { res.body = 'get'; });
+  app.HEAD('/thing', (req, res) => { res.setHeader('x-explicit', 'head'); res.body = ''; });
+  app.OPTIONS('/thing', (req, res) => { res.setHeader('x-explicit', 'options'); res.body = 'custom'; });
+
+  const head = await app.inject({ method: 'HEAD', url: '/thing' });
+  assert(head.headers['x-explicit'] === 'head', 'Registered HEAD handler wins over GET');
+
+  const options = await app.inject({ method: 'OPTIONS', url: '/thing' });
+  assert(options.headers['x-explicit'] === 'options', 'Registered OPTIONS handler wins');
+  assert(options.body === 'custom', 'Registered OPTIONS handler controls the body');
+}
+
+async function testImplicitOptions() {
+  console.log('\n--- Testing implicit OPTIONS ---');
+  const app = new Router();
+
+  app.GET('/users/:id', (req, res) => { res.body = 'user'; });
+  app.PATCH('/users/:id', (req, res) => { res.body = 'patched'; });
+
+  const res = await app.inject({ method: 'OPTIONS', url: '/users/9' });
+  assert(res.status === 204, 'Implicit OPTIONS answers 204');
+  assert(res.headers.allow === 'GET, HEAD, PATCH, OPTIONS', 'Implicit OPTIONS lists allowed methods');
+  assert(res.body === '', 'Implicit OPTIONS has no body');
+
+  const missing = await app.inject({ method: 'OPTIONS', url: '/nothing' });
+  assert(missing.status === 404, 'OPTIONS on unknown path is still 404');
+
+  const withCors = new Router();
+  withCors.use('/*', cors({ origin: 'https://example.com' }));
+  withCors.POST('/api', (req, res) => { res.body = 'ok'; });
+
+  const preflight = await withCors.inject({ method: 'OPTIONS', url: '/api' });
+  assert(preflight.status === 204, 'CORS preflight succeeds without an OPTIONS route');
+  assert(preflight.headers['access-control-allow-origin'] === 'https://example.com', 'CORS headers are kept');
+  assert(preflight.headers.allow === 'POST, OPTIONS', 'Allow header added to preflight');
+}
+
+async function run() {
+  try {
+    await testImplicitHead();
+    await testExplicitWins();
+    await testImplicitOptions();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,107 @@
+import { Router, NotFoundError, errorHandler } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+async function testBasicInjection() {
+  console.log('\n--- Testing app.inject() ---');
+  const app = new Router();
+  const order = [];
+
+  app.BEFORE('/*', (req, res, ctx) => { order.push('before'); });
+  app.AFTER('/*', (req, res, ctx) => { order.push('after'); });
+
+  app.GET('/users/:id:int', (req, res) => {
+    order.push('handler');
+    res.setHeader('x-user', String(req.params.id));
+    res.json({ id: req.params.id, q: req.queries.q });
+  });
+
+  app.POST('/echo', (req, res) => {
+    res.body = { received: JSON.parse(req.body), type: req.contentType };
+  });
+
+  const res = await app.inject({ method: 'GET', url: '/users/7?q=hello' });
+  assert(res.status === 200, 'GET returned 200');
+  assert(res.headers['x-user'] === '7', 'Response headers are exposed');
+  assert(res.json().id === 7 && res.json().q === 'hello', 'Params and queries reach the handler');
+  assert(order.join(',') === 'before,handler,after', 'BEFORE and AFTER hooks run around the handler');
+
+  const echo = await app.inject({ method: 'POST', url: '/echo', body: { name: 'Tersoo' } });
+  assert(echo.json().received.name === 'Tersoo', 'Object bodies are serialised and parsed');
+  assert(echo.json().type === 'application/json', 'Object bodies default to application/json');
+
+  const missing = await app.inject('/nowhere');
+  assert(missing.status === 404, 'Unknown route returns 404');
+}
+
+async function testInjectedSchemas() {
+  console.log('\n--- Testing inject() with SCHEMA baking ---');
+  const app = new Router();
+
+  app.BEFORE('/*', (req, res, ctx) => {
+    if (req.body) req.body = JSON.parse(req.body);
+  });
+
+  app.POST('/users', (req, res) => {
+    res.body = { user: req.body };
+  });
+
+  app.SCHEMA.POST('/users', {
+    expects: (data) => data.name ? { data: { ...data, baked: true } } : { problems: 'Name is required' }
+  });
+
+  const ok = await app.inject({ method: 'POST', url: '/users', body: { name: 'Ada' } });
+  assert(ok.json().user.baked === true, 'Schemas are baked before the first injection');
+
+  const again = await app.inject({ method: 'POST', url: '/users', body: { name: 'Ada' } });
+  assert(again.status === 200, 'Repeated injections do not re-bake the handler');
+
+  const bad = await app.inject({ method: 'POST', url: '/users', body: { age: 3 } });
+  assert(bad.status === 422, 'Invalid payload rejected with 422');
+}
+
+async function testInjectedErrorsAndFiles() {
+  console.log('\n--- Testing inject() with errors and sendFile ---');
+  const app = new Router();
+
+  app.GET('/missing', () => { throw new NotFoundError('No such thing'); });
+  app.GET('/file', async (req, res) => {
+    await res.sendFile('test_file.txt', { root: './tests/public' });
+  });
+  app.ERROR(errorHandler({ logger: null }));
+
+  const missing = await app.inject('/missing');
+  assert(missing.status === 404, 'Thrown HttpError goes through app.ERROR');
+  assert(missing.json().error.message === 'No such thing', 'Error handler body is returned');
+
+  const file = await app.inject('/file');
+  assert(file.status === 200, 'sendFile streams with 200');
+  assert(file.body.length > 0 && file.body.length === Number(file.headers['content-length']), 'Streamed body is collected in full');
+}
+
+async function run() {
+  try {
+    await testBasicInjection();
+    await testInjectedSchemas();
+    await testInjectedErrorsAndFiles();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,92 @@
+import { Router, formatRoutes } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+async function testRouteTable() {
+  console.log('\n--- Testing app.routes() ---');
+  const app = new Router();
+  app.subdomain('api');
+
+  function audit(req, res, ctx) { }
+  function timing(req, res, ctx) { }
+
+  app.BEFORE('/users/*', audit);
+  app.AFTER('/*', timing);
+  app.GET('/users/:id', function showUser() { }, { name: 'users.show' });
+  app.DELETE('/users/:id', () => { });
+  app.GET('/health', () => { }, 'api');
+  app.SCHEMA.POST('/users', { summary: 'Create user' }, () => { });
+  app.WS('/live', () => { });
+  app.ASSETS('./tests/public', { prefix: '/static' });
+
+  const api = app.group('/v2');
+  api.GET('/items', () => { }, { name: 'items' });
+
+  const routes = app.routes();
+  const find = (method, path) => routes.find(route => route.method === method && route.path === path);
+
+  const show = find('GET', '/users/:id');
+  assert(show && show.kind === 'http' && show.subdomain === 'www', 'HTTP route listed with subdomain');
+  assert(show.name === 'users.show', 'Route name included');
+  assert(show.befores.length === 1 && show.befores[0].name === 'audit' && show.befores[0].pattern === '/users/*', 'Applicable BEFORE hooks listed');
+  assert(show.afters.length === 1 && show.afters[0].name === 'timing', 'Applicable AFTER hooks listed');
+
+  const create = find('POST', '/users');
+  assert(create.schema && create.schema.summary === 'Create user', 'SCHEMA metadata attached');
+  assert(find('GET', '/v2/items').befores.length === 0, 'Non-matching hooks are excluded');
+
+  assert(find('GET', '/health').subdomain === 'api', 'Subdomain routes listed');
+  assert(find('GET', '/v2/items').name === 'items', 'Group routes listed with full path');
+  assert(find('WS', '/live').kind === 'ws', 'WebSocket routes listed');
+
+  const assets = find('GET', '/static/*');
+  assert(assets.kind === 'static' && assets.root.endsWith('public'), 'Static mounts listed with their root');
+
+  const table = formatRoutes(routes).split('\n');
+  assert(table[0].startsWith('METHOD') && table[0].includes('PATH'), 'Table has a header row');
+  const pathColumn = table[0].indexOf('PATH');
+  assert(table.slice(2).every(line => line.slice(pathColumn).startsWith('/')), 'Path column is aligned');
+
+  let printed = '';
+  app.printRoutes((text) => { printed = text; });
+  assert(printed.includes('users.show') && printed.includes('audit(/users/*)'), 'printRoutes writes the table');
+}
+
+async function testMountedTable() {
+  console.log('\n--- Testing routes() after mount() ---');
+  const app = new Router();
+  const admin = new Router();
+  admin.BEFORE('/*', function guard() { });
+  admin.GET('/dashboard', () => { }, { name: 'admin.dashboard' });
+  app.mount(admin, true, '/admin');
+
+  const dashboard = app.routes().find(route => route.path === '/admin/dashboard');
+  assert(dashboard && dashboard.name === 'admin.dashboard', 'Mounted route keeps its name');
+  assert(dashboard.befores.some(hook => hook.name === 'guard' && hook.pattern === '/admin/*'), 'Mounted hooks apply under the prefix');
+}
+
+async function run() {
+  try {
+    await testRouteTable();
+    await testMountedTable();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,171 @@
+import http from 'http';
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import { Router, HandlerError } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+async function quietly(fn) {
+  const originalLog = console.log;
+  console.log = () => { };
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+function get(target, urlPath = '/') {
+  return new Promise((resolve, reject) => {
+    http.get({ ...target, path: urlPath, agent: false }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve(body));
+    }).on('error', reject);
+  });
+}
+
+function createApp(name) {
+  const app = new Router();
+  app.GET('/', (req, res) => { res.body = name; });
+  return app;
+}
+
+async function testEphemeralPort() {
+  console.log('\n--- Testing listen() resolves with the bound address ---');
+  const app = createApp('one');
+  let called = false;
+  const address = await quietly(() => app.listen({ port: 0, host: '127.0.0.1', signals: false }, () => { called = true; }));
+
+  assert(address.port > 0 && address.address === '127.0.0.1', 'Port 0 resolves with the ephemeral port');
+  assert(called, 'The callback runs before the promise resolves');
+  assert(await get({ host: '127.0.0.1', port: address.port }) === 'one', 'The bound port serves requests');
+  await app.close();
+}
+
+async function testWithoutSignals() {
+  console.log('\n--- Testing signals: false ---');
+  const before = ['SIGTERM', 'SIGINT', 'SIGHUP', 'SIGUSR2'].map(signal => process.listenerCount(signal));
+
+  const first = createApp('first');
+  const second = createApp('second');
+  const [a, b] = await quietly(() => Promise.all([
+    first.listen({ port: 0, host: '127.0.0.1', signals: false }),
+    second.listen({ port: 0, host: '127.0.0.1', signals: false })
+  ]));
+
+  const after = ['SIGTERM', 'SIGINT', 'SIGHUP', 'SIGUSR2'].map(signal => process.listenerCount(signal));
+  assert(after.join() === before.join(), 'No process signal handlers are registered');
+  assert(await get({ host: '127.0.0.1', port: a.port }) === 'first', 'First router serves in the same process');
+  assert(await get({ host: '127.0.0.1', port: b.port }) === 'second', 'Second router serves in the same process');
+
+  await first.close();
+  assert(await get({ host: '127.0.0.1', port: b.port }) === 'second', 'Closing one router leaves the other running');
+  await second.close();
+
+  const signalled = createApp('signalled');
+  await quietly(() => signalled.listen({ port: 0, host: '127.0.0.1' }));
+  assert(process.listenerCount('SIGTERM') === before[0] + 1, 'Signal handlers are registered by default');
+  await signalled.close();
+  assert(process.listenerCount('SIGTERM') === before[0], 'close() removes the signal handlers');
+
+  for (let cycle = 0; cycle < 3; cycle++) {
+    await quietly(() => signalled.listen({ port: 0, host: '127.0.0.1' }));
+    await signalled.close();
+  }
+  const cycled = ['SIGTERM', 'SIGINT', 'SIGHUP', 'SIGUSR2'].map(signal => process.listenerCount(signal));
+  assert(cycled.join() === before.join(), 'Repeated listen()/close() cycles leave no signal handlers behind');
+}
+
+async function testUnixSocketAndAddresses() {
+  console.log('\n--- Testing unix sockets and several addresses ---');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routerling-listen-'));
+  const socketPath = path.join(dir, 'app.sock');
+
+  try {
+    const app = createApp('unix');
+    const bound = await quietly(() => app.listen({ path: socketPath, signals: false }));
+    assert(bound === socketPath, 'A unix socket resolves with its path');
+    assert(await get({ socketPath }) === 'unix', 'The unix socket serves requests');
+    await app.close();
+    assert(!fs.existsSync(socketPath), 'close() removes the socket file');
+
+    const multi = createApp('multi');
+    const addresses = await quietly(() => multi.listen({
+      addresses: [{ port: 0, host: '127.0.0.1' }, { path: socketPath }],
+      signals: false
+    }));
+    assert(Array.isArray(addresses) && addresses.length === 2, 'addresses resolves with one address each');
+    assert(await get({ host: '127.0.0.1', port: addresses[0].port }) === 'multi', 'The TCP address serves requests');
+    assert(await get({ socketPath: addresses[1] }) === 'multi', 'The unix socket serves requests too');
+    await multi.close();
+
+    let refused = false;
+    await get({ host: '127.0.0.1', port: addresses[0].port }).catch(() => { refused = true; });
+    assert(refused && !fs.existsSync(socketPath), 'close() stops every address');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testBindErrors() {
+  console.log('\n--- Testing bind errors ---');
+  const app = createApp('taken');
+  const { port } = await quietly(() => app.listen({ port: 0, host: '127.0.0.1', signals: false }));
+
+  let error = null;
+  try {
+    await createApp('late').listen({ port, host: '127.0.0.1', signals: false });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.code === 'EADDRINUSE', 'A taken port rejects the promise');
+  await app.close();
+}
+
+async function testStartupFailure() {
+  console.log('\n--- Testing a failed startup check releases everything ---');
+  const before = process.listenerCount('SIGTERM');
+  const app = new Router(null, { handlerRoot: './tests' });
+  app.GET('/missing', './handlers/missing.js:show');
+
+  let error = null;
+  try {
+    await app.listen({ port: 0, host: '127.0.0.1' });
+  } catch (e) {
+    error = e;
+  }
+  assert(error instanceof HandlerError, 'A broken handler reference rejects listen()');
+  assert(app._servers.every(server => !server.listening), 'No server is left listening');
+  assert(process.listenerCount('SIGTERM') === before, 'The signal handlers are removed');
+}
+
+async function run() {
+  try {
+    await testEphemeralPort();
+    await testWithoutSignals();
+    await testUnixSocketAndAddresses();
+    await testBindErrors();
+    await testStartupFailure();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
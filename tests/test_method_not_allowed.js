@@ -0,0 +1,65 @@
+import { Router, MethodNotAllowedError } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+async function testDefault405() {
+  console.log('\n--- Testing automatic 405 ---');
+  const app = new Router();
+
+  app.GET('/users/:id', (req, res) => { res.json({ id: req.params.id }); });
+  app.DELETE('/users/:id', (req, res) => { res.status = 204; });
+  app.POST('/users', (req, res) => { res.status = 201; });
+
+  const res = await app.inject({ method: 'PUT', url: '/users/5' });
+  assert(res.status === 405, 'Registered path under another verb returns 405');
+  assert(res.headers.allow === 'GET, HEAD, DELETE, OPTIONS', 'Allow header lists the registered and implicit methods');
+  assert(res.json().error.statusCode === 405, 'Default body describes the 405');
+
+  const missing = await app.inject({ method: 'PUT', url: '/nothing/here' });
+  assert(missing.status === 404, 'Unknown path still returns 404');
+  assert(!missing.headers.allow, 'No Allow header on 404');
+}
+
+async function testCustomErrorHandler() {
+  console.log('\n--- Testing 405 through app.ERROR ---');
+  const app = new Router();
+  let seen = null;
+
+  app.POST('/login', (req, res) => { res.body = 'ok'; });
+  app.ERROR((err, req, res, ctx) => {
+    seen = err;
+    res.text(`Use ${err.allowed.join(' or ')}`, err.statusCode);
+  });
+
+  const res = await app.inject({ method: 'GET', url: '/login' });
+  assert(seen instanceof MethodNotAllowedError, 'ERROR handler receives a MethodNotAllowedError');
+  assert(res.status === 405, 'Custom handler keeps the 405');
+  assert(res.body === 'Use POST or OPTIONS', 'Custom handler controls the body');
+  assert(res.headers.allow === 'POST, OPTIONS', 'Allow header survives custom handling');
+}
+
+async function run() {
+  try {
+    await testDefault405();
+    await testCustomErrorHandler();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,155 @@
+import { WebSocket } from 'ws';
+import { Router, MountError } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+function thrown(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function testAssetsUnderPrefix() {
+  console.log('\n--- Testing static assets under the mount prefix ---');
+  const site = new Router();
+  site.ASSETS('./tests/public');
+  const docs = new Router();
+  docs.ASSETS('./tests/public', { prefix: '/static' });
+
+  const app = new Router();
+  app.mount(site, true, '/site');
+  app.mount(docs, true, '/docs');
+
+  const file = await app.inject('/site/style.css');
+  assert(file.status === 200 && file.headers['content-type'].startsWith('text/css'), 'Mounted assets are served below the prefix');
+  assert((await app.inject('/site/missing.css')).status === 404, 'Missing mounted assets are 404s');
+  assert((await app.inject('/docs/static/test_file.txt')).status === 200, 'The asset prefix is kept below the mount prefix');
+
+  const guide = await app.inject('/site/guide');
+  assert(guide.status === 200 && guide.body.includes('<'), 'Directory indexes resolve below the prefix');
+
+  const listed = app.routes().filter(entry => entry.kind === 'static').map(entry => entry.path);
+  assert(listed.includes('/site/*') && listed.includes('/docs/static/*'), 'Mounted assets are listed as static routes');
+}
+
+async function testDocsUnderPrefix() {
+  console.log('\n--- Testing DOCS under the mount prefix ---');
+  const api = new Router();
+  api.GET('/users', (req, res) => { res.json([]); });
+  api.SCHEMA.GET('/users', { summary: 'List users' });
+  await api.DOCS('/docs', { title: 'Users API' });
+
+  const app = new Router();
+  app.mount(api, true, '/api');
+
+  const spec = (await app.inject('/api/docs/openapi.json')).json();
+  assert(spec.paths['/users'] && spec.paths['/users'].get.summary === 'List users', 'Mounted spec documents the mounted routes');
+  assert(spec.servers && spec.servers[0].url === '/api', 'Mounted spec is served from the prefix');
+
+  const page = await app.inject('/api/docs');
+  assert(page.body.includes('data-url="/api/docs/openapi.json"'), 'Docs UI points at the prefixed spec');
+  assert(page.body.includes('<title>Users API</title>'), 'Docs UI keeps its title');
+}
+
+async function testConflicts() {
+  console.log('\n--- Testing mount conflicts ---');
+  const app = new Router();
+  app.GET('/api/users', () => { });
+  app.WS('/api/live', () => { });
+  app.GET('/home', () => { }, { name: 'home' });
+
+  const api = new Router();
+  api.GET('/users', () => { });
+  api.GET('/orders', () => { });
+  api.WS('/live', () => { });
+  api.GET('/landing', () => { }, { name: 'home' });
+
+  const error = thrown(() => app.mount(api, true, '/api'));
+  assert(error instanceof MountError, 'Clashing mounts throw a MountError');
+  assert(error && error.message.includes("at '/api'") && error.message.includes('GET /api/users already exists'), 'The message names the mount prefix and route');
+  assert(error && error.message.includes('WebSocket /api/live already exists'), 'WebSocket clashes are reported');
+  assert(error && error.message.includes("route name 'home'"), 'Route name clashes are reported');
+  assert(!app.subdomains.get('www').cache.get('GET').has('/api/orders'), 'Nothing is merged when the mount fails');
+
+  const parent = new Router();
+  parent.GET('/c/:id', (req, res) => { res.body = 'parent'; });
+  parent.GET('/f/*', (req, res) => { res.body = 'files'; });
+  const slugs = new Router();
+  slugs.GET('/a', (req, res) => { res.body = 'child'; });
+  slugs.GET('/:slug', (req, res) => { res.body = 'slug'; });
+  const treeError = thrown(() => parent.mount(slugs, true, '/c'));
+  assert(treeError instanceof MountError && treeError.message.includes('GET /c/:slug conflicts with /c/:id'), 'Param clashes inside the tree are a MountError');
+  assert((await parent.inject('/c/a')).body === 'parent', 'Routes before the clash are not merged');
+
+  const files = new Router();
+  files.GET('/*path', () => { });
+  const wildcardError = thrown(() => parent.mount(files, true, '/f'));
+  assert(wildcardError instanceof MountError && wildcardError.message.includes('GET /f/*path conflicts with /f/*'), 'Wildcard clashes are a MountError');
+
+  const views = new Router();
+  views.TEMPLATES('./tests/templates');
+  const themed = new Router();
+  themed.TEMPLATES('./tests/templates');
+  assert(thrown(() => views.mount(themed, false)) instanceof MountError, 'Merging a second templater is a conflict');
+  assert(!thrown(() => views.mount(themed, true, '/themed')), 'Isolated mounts keep their own templater');
+}
+
+async function testWebSocketsAndDaemons() {
+  console.log('\n--- Testing WebSockets and daemons under the mount prefix ---');
+  const live = new Router({ name: 'live' });
+  const started = [];
+  live.DAEMON((router) => { started.push(router.CONFIG('name')); });
+  live.WS('/feed', (ws, request, router) => {
+    ws.send(`${router.CONFIG('name')}:${request.url}`);
+  });
+
+  const app = new Router({ name: 'app' });
+  app.mount(live, true, '/live');
+
+  const originalLog = console.log;
+  console.log = () => { };
+  const { port } = await app.listen(0, '127.0.0.1');
+  console.log = originalLog;
+
+  const message = await new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/live/feed`);
+    ws.on('message', (data) => { resolve(String(data)); ws.close(); });
+    ws.on('error', reject);
+  });
+
+  assert(message === 'live:/live/feed', 'Mounted WebSockets answer below the prefix with their own router');
+  assert(started.join(',') === 'live', 'Mounted daemons start with their own router');
+
+  await app.close();
+}
+
+async function run() {
+  try {
+    await testAssetsUnderPrefix();
+    await testDocsUnderPrefix();
+    await testConflicts();
+    await testWebSocketsAndDaemons();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,146 @@
+import { Router } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+async function quietly(fn) {
+  const originalError = console.error;
+  console.error = () => { };
+  try {
+    return await fn();
+  } finally {
+    console.error = originalError;
+  }
+}
+
+function describeApp(req, res, ctx) {
+  res.json({
+    config: req.app.CONFIG('name'),
+    greeting: req.app.peek('greeting'),
+    mounted: req.mounted ? req.mounted.CONFIG('name') : null,
+    context: ctx._application.CONFIG('name')
+  });
+}
+
+async function testIsolatedState() {
+  console.log('\n--- Testing isolated CONFIG, state and req.mounted ---');
+  const parent = new Router({ name: 'parent' });
+  const child = new Router({ name: 'child' });
+  parent.keep('greeting', 'hello from parent');
+  child.keep('greeting', 'hello from child');
+
+  const seen = [];
+  parent.BEFORE('/*', (req) => { seen.push(req.mounted ? req.mounted.CONFIG('name') : null); });
+  parent.GET('/info', describeApp);
+  child.GET('/info', describeApp);
+  parent.mount(child, true, '/child');
+
+  const own = (await parent.inject('/info')).json();
+  assert(own.config === 'parent' && own.greeting === 'hello from parent', 'Parent routes use the parent app');
+  assert(own.mounted === null, 'req.mounted is null for the parent own routes');
+
+  const mounted = (await parent.inject('/child/info')).json();
+  assert(mounted.config === 'child' && mounted.greeting === 'hello from child', 'Mounted routes read their own CONFIG and state');
+  assert(mounted.mounted === 'child' && mounted.context === 'child', 'req.mounted and ctx point at the mounted app');
+  assert(seen[0] === null && seen[1] === 'child', 'Parent hooks see req.mounted once routed');
+
+  const missing = await parent.inject('/child/nowhere');
+  assert(missing.status === 404, 'Unmatched paths under the prefix stay with the parent');
+}
+
+async function testMergedState() {
+  console.log('\n--- Testing non-isolated mount ---');
+  const parent = new Router({ name: 'parent', region: 'eu' });
+  const child = new Router({ name: 'child' });
+  child.GET('/info', describeApp);
+  parent.mount(child, false, '/child');
+
+  const merged = (await parent.inject('/child/info')).json();
+  assert(merged.config === 'child' && merged.mounted === null, 'Non-isolated mounts run against the merged parent');
+  assert(parent.CONFIG('region') === 'eu', 'Parent configuration is kept alongside the merged keys');
+}
+
+async function testOwnErrorHandler() {
+  console.log('\n--- Testing ERROR per mounted app ---');
+  const parent = new Router();
+  const child = new Router();
+  const plain = new Router();
+
+  parent.ERROR((error, req, res) => { res.status = 500; res.body = { handledBy: 'parent' }; });
+  child.ERROR((error, req, res) => { res.status = 418; res.body = { handledBy: 'child', mounted: res.mounted === child }; });
+
+  const boom = () => { throw new Error('boom'); };
+  parent.GET('/boom', boom);
+  child.GET('/boom', boom);
+  plain.GET('/boom', boom);
+  parent.mount(child, true, '/child');
+  parent.mount(plain, true, '/plain');
+
+  const own = await parent.inject('/boom');
+  assert(own.json().handledBy === 'parent', 'Parent errors go to the parent ERROR handler');
+
+  const mounted = await parent.inject('/child/boom');
+  assert(mounted.status === 418 && mounted.json().handledBy === 'child', 'Mounted errors go to the mounted ERROR handler');
+  assert(mounted.json().mounted === true, 'The error response knows the mounted app');
+
+  const fallback = await parent.inject('/plain/boom');
+  assert(fallback.json().handledBy === 'parent', 'Apps without ERROR fall back to the parent handler');
+}
+
+async function testOwnTemplatesAndAssets() {
+  console.log('\n--- Testing templater and static handler per mounted app ---');
+  const parent = new Router();
+  const child = new Router();
+  child.subdomain('api');
+  child.TEMPLATES('./tests/templates', { autoescape: false });
+  child.GET('/users/:id:int', () => { }, { name: 'users.show' });
+  child.GET('/status', () => { }, { name: 'api.status', subdomain: 'api' });
+  child.GET('/links', async (req, res) => {
+    await res.render('links.html', { user: 7 });
+  });
+  parent.GET('/page', async (req, res) => {
+    await res.render('links.html', { user: 7 });
+  });
+  parent.mount(child, true, '/child');
+
+  const page = await parent.inject({ url: '/child/links', headers: { host: 'example.com' } });
+  assert(page.status === 200, 'Mounted routes render with their own templater');
+  assert(page.body.includes('href="/child/users/7"'), 'url_for resolves mounted names with the mount prefix');
+
+  const own = await quietly(() => parent.inject('/page'));
+  assert(own.status === 500, 'The parent does not borrow the mounted templater');
+
+  const assets = new Router();
+  assets.ASSETS('./tests/public');
+  const site = new Router();
+  site.mount(assets);
+  const file = await site.inject('/style.css');
+  assert(file.status === 200 && file.headers['content-type'].startsWith('text/css'), 'Mounted apps serve their own static files');
+}
+
+async function run() {
+  try {
+    await testIsolatedState();
+    await testMergedState();
+    await testOwnErrorHandler();
+    await testOwnTemplatesAndAssets();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
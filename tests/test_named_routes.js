@@ -0,0 +1,101 @@
+import { Router, UrlError, UrlDuplicateError } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+function throws(fn, ErrorClass) {
+  try {
+    fn();
+  } catch (error) {
+    return error instanceof ErrorClass;
+  }
+  return false;
+}
+
+async function testReverse() {
+  console.log('\n--- Testing app.url() ---');
+  const app = new Router();
+  app.subdomain('api');
+
+  app.GET('/users/:id:int', () => { }, { name: 'users.show' });
+  app.PUT('/users/:id:int', () => { }, { name: 'users.show' });
+  app.GET('/files/*', () => { }, { name: 'files' });
+  app.GET('/status', () => { }, { name: 'api.status', subdomain: 'api' });
+
+  const admin = app.group('/admin');
+  admin.GET('/posts/:slug', () => { }, { name: 'admin.post' });
+
+  assert(app.url('users.show', { id: 5 }) === '/users/5', 'Typed params are substituted');
+  assert(app.url('users.show', { id: 5 }, { query: { tab: 'posts', tag: ['a', 'b'] } }) === '/users/5?tab=posts&tag=a&tag=b', 'Query string appended');
+  assert(app.url('files', { '*': 'docs/read me.txt' }) === '/files/docs/read%20me.txt', 'Wildcard keeps slashes and encodes segments');
+  assert(app.url('admin.post', { slug: 'hello world' }) === '/admin/posts/hello%20world', 'Group prefix included and values encoded');
+  assert(app.url('api.status', {}, { host: 'www.example.com:8080' }) === '//api.example.com:8080/status', 'Cross-subdomain link is absolute');
+  assert(app.url('api.status', {}, { host: 'api.example.com' }) === '/status', 'Same subdomain link is relative');
+  assert(app.url('users.show', { id: 1 }, { host: 'api.example.com', scheme: 'https' }) === 'https://example.com/users/1', 'Default subdomain link from a subdomain');
+
+  assert(throws(() => app.url('nope'), UrlError), 'Unknown name throws UrlError');
+  assert(throws(() => app.url('users.show'), UrlError), 'Missing param throws UrlError');
+  assert(throws(() => app.url('api.status'), UrlError), 'Cross-subdomain link without host throws');
+  assert(throws(() => app.GET('/other', () => { }, { name: 'files' }), UrlDuplicateError), 'Reusing a name for another route throws');
+}
+
+async function testMountedNames() {
+  console.log('\n--- Testing names across mount() ---');
+  const app = new Router();
+  const blog = new Router();
+  blog.GET('/posts/:id', () => { }, { name: 'blog.post' });
+  app.mount(blog, true, '/blog');
+
+  assert(app.url('blog.post', { id: 3 }) === '/blog/posts/3', 'Mounted names carry the mount prefix');
+}
+
+async function testRedirectAndTemplates() {
+  console.log('\n--- Testing res.redirectTo() and url_for ---');
+  const app = new Router();
+  app.subdomain('api');
+  app.TEMPLATES('./tests/templates', { autoescape: false });
+
+  app.GET('/users/:id:int', () => { }, { name: 'users.show' });
+  app.GET('/status', () => { }, { name: 'api.status', subdomain: 'api' });
+
+  app.GET('/me', (req, res) => {
+    res.redirectTo('users.show', { id: 42 }, { query: { from: 'me' } });
+  });
+  app.GET('/links', async (req, res) => {
+    await res.render('links.html', { user: 7 });
+  });
+
+  const redirect = await app.inject('/me');
+  assert(redirect.status === 307, 'redirectTo issues a temporary redirect');
+  assert(redirect.headers.location === '/users/42?from=me', 'redirectTo builds the location');
+
+  const page = await app.inject({ url: '/links', headers: { host: 'example.com' } });
+  assert(page.body.includes('href="/users/7"'), 'url_for resolves in templates');
+  assert(page.body.includes('href="//api.example.com/status?verbose=1"'), 'url_for uses the request host across subdomains');
+}
+
+async function run() {
+  try {
+    await testReverse();
+    await testMountedNames();
+    await testRedirectAndTemplates();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
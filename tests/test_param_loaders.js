@@ -0,0 +1,139 @@
+import { Router, NotFoundError, errorHandler } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+const USERS = { 1: { id: 1, name: 'Ada' }, 2: { id: 2, name: 'Grace' } };
+
+function loadUser(value, req, ctx) {
+  const user = USERS[value];
+  if (!user) {
+    throw new NotFoundError(`User ${value} not found`);
+  }
+  return user;
+}
+
+async function testLoaders() {
+  console.log('\n--- Testing app.param() loaders ---');
+  const app = new Router();
+  let loads = 0;
+
+  app.param('user', async (value, req, ctx) => {
+    loads++;
+    return loadUser(value, req, ctx);
+  });
+  app.ERROR(errorHandler({ logger: null }));
+
+  app.GET('/users/:user:int', (req, res, ctx) => { res.json({ name: ctx.user.name, raw: req.params.user }); });
+  app.GET('/users/:user:int/friends/:friend', (req, res, ctx) => { res.json({ name: ctx.user.name, friend: req.params.friend }); });
+  app.GET('/teams/:team', (req, res, ctx) => { res.json({ hasUser: ctx.has('user') }); });
+
+  const ok = await app.inject('/users/1');
+  assert(ok.json().name === 'Ada' && ok.json().raw === 1, 'Resolved entity is placed on ctx, params keep the raw value');
+  assert(loads === 1, 'Loader runs once per request');
+
+  const nested = await app.inject('/users/2/friends/bob');
+  assert(nested.json().name === 'Grace' && nested.json().friend === 'bob', 'Loader runs for routes with the param anywhere');
+
+  loads = 0;
+  const other = await app.inject('/teams/red');
+  assert(other.json().hasUser === false && loads === 0, 'Loader skipped when the route has no such param');
+
+  const missing = await app.inject('/users/9');
+  assert(missing.status === 404, 'NotFoundError from a loader short-circuits to 404');
+  assert(missing.json().error.message === 'User 9 not found', 'Loader error reaches app.ERROR');
+}
+
+async function testGroupsAndMount() {
+  console.log('\n--- Testing loaders with groups and mount() ---');
+  const app = new Router();
+  let handlerRan = false;
+
+  const api = app.group('/api');
+  api.param('user', loadUser);
+  api.GET('/users/:user', (req, res, ctx) => {
+    handlerRan = true;
+    res.json({ name: ctx.user.name });
+  });
+
+  assert((await app.inject('/api/users/2')).json().name === 'Grace', 'Group loader applies to group routes');
+  handlerRan = false;
+  assert((await app.inject('/api/users/5')).status === 404 && !handlerRan, 'Handler does not run when loader throws');
+
+  let outside = null;
+  app.GET('/users/:user', (req, res, ctx) => { outside = ctx.user ?? null; res.body = 'outside'; });
+  const other = app.group('/other');
+  other.GET('/users/:user', (req, res, ctx) => { res.json({ user: ctx.user ?? null }); });
+  assert((await app.inject('/users/2')).body === 'outside' && outside === null, 'A group loader does not run for routes outside the group');
+  assert((await app.inject('/other/users/2')).json().user === null, 'A group loader does not run for other groups');
+
+  const nested = api.group('/v2');
+  nested.GET('/users/:user', (req, res, ctx) => { res.json({ name: ctx.user.name }); });
+  assert((await app.inject('/api/v2/users/1')).json().name === 'Ada', 'Subgroups inherit the loaders of their group');
+
+  app.param('user', () => ({ name: 'router' }));
+  assert((await app.inject('/other/users/2')).json().user.name === 'router', 'Router loaders registered later still apply to group routes');
+  assert((await app.inject('/api/users/2')).json().name === 'Grace', "The group's loader takes precedence over the router's");
+
+  const admin = new Router();
+  admin.param('user', loadUser);
+  admin.GET('/users/:user', (req, res, ctx) => { res.json({ name: ctx.user.name }); });
+  const main = new Router();
+  main.mount(admin, true, '/admin');
+  assert((await main.inject('/admin/users/1')).json().name === 'Ada', 'Mounted router brings its loaders');
+}
+
+async function testLoaderScope() {
+  console.log('\n--- Testing loaders are scoped to their own router ---');
+  const parent = new Router();
+  parent.GET('/orders/:id', (req, res, ctx) => { res.json({ id: req.params.id, loaded: ctx.id ?? null }); });
+
+  const child = new Router();
+  child.param('id', (id) => { throw new Error(`widget loader ran for ${id}`); });
+  child.GET('/c/:id', (req, res) => { res.body = 'widget'; });
+  parent.mount(child, true, '/w');
+
+  const order = await parent.inject('/orders/7');
+  assert(order.status === 200 && order.json().loaded === null, "A mounted router's loader does not run on the parent's routes");
+
+  for (const isolated of [true, false]) {
+    const app = new Router();
+    app.param('id', () => ({ from: 'parent' }));
+    app.GET('/p/:id', (req, res, ctx) => { res.json(ctx.id); });
+
+    const kid = new Router();
+    kid.param('id', () => ({ from: 'child' }));
+    kid.GET('/c/:id', (req, res, ctx) => { res.json(ctx.id); });
+    app.mount(kid, isolated, '/kid');
+
+    const mode = isolated ? 'isolated' : 'shared';
+    assert((await app.inject('/kid/c/5')).json().from === 'child', `A parent loader does not replace the mounted router's (${mode})`);
+    assert((await app.inject('/p/5')).json().from === 'parent', `The parent keeps its own loader (${mode})`);
+  }
+}
+
+async function run() {
+  try {
+    await testLoaders();
+    await testGroupsAndMount();
+    await testLoaderScope();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,135 @@
+import { Router, MountError } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+const UUID = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+
+async function testBuiltinTypes() {
+  console.log('\n--- Testing built-in types ---');
+  const app = new Router();
+
+  app.GET('/items/:id:int', (req, res) => { res.json({ id: req.params.id }); });
+  app.GET('/prices/:amount:float', (req, res) => { res.json({ amount: req.params.amount }); });
+  app.GET('/flags/:on:bool', (req, res) => { res.json({ on: req.params.on }); });
+
+  assert((await app.inject('/items/12')).json().id === 12, 'int segments are parsed');
+  assert((await app.inject('/items/abc')).status === 404, 'Non-numeric int segment falls through to 404');
+  assert((await app.inject('/prices/9.5')).json().amount === 9.5, 'float segments are parsed');
+  assert((await app.inject('/flags/true')).json().on === true, 'bool segments are parsed');
+  assert((await app.inject('/flags/maybe')).status === 404, 'Invalid bool falls through to 404');
+}
+
+async function testCustomTypes() {
+  console.log('\n--- Testing app.paramType() ---');
+  const app = new Router();
+
+  app.paramType('uuid', { pattern: new RegExp(UUID, 'i'), parse: (value) => value.toLowerCase() });
+  app.paramType('date', { pattern: /\d{4}-\d{2}-\d{2}/, parse: (value) => new Date(`${value}T00:00:00Z`), schema: { type: 'string', format: 'date' } });
+  app.paramType('color', { enum: ['red', 'green', 'blue'] });
+
+  app.GET('/orders/:id:uuid', (req, res) => { res.json({ route: 'uuid', id: req.params.id }); });
+  app.GET('/orders/:slug', (req, res) => { res.json({ route: 'slug', slug: req.params.slug }); });
+  app.GET('/reports/:day:date', (req, res) => { res.json({ year: req.params.day.getUTCFullYear() }); });
+  app.GET('/paint/:c:color', (req, res) => { res.json({ color: req.params.c }); });
+
+  const id = 'A0B1C2D3-0000-4000-8000-000000000000';
+  const byId = (await app.inject(`/orders/${id}`)).json();
+  assert(byId.route === 'uuid' && byId.id === id.toLowerCase(), 'Custom type matches and parses');
+  assert((await app.inject('/orders/latest')).json().route === 'slug', 'Failing custom type falls through to other routes');
+  assert((await app.inject('/reports/2024-03-01')).json().year === 2024, 'Parser can return rich values');
+  assert((await app.inject('/reports/yesterday')).status === 404, 'Failing type with no alternative ends in 404');
+  assert((await app.inject('/paint/green')).json().color === 'green', 'Enum types accept listed values');
+  assert((await app.inject('/paint/pink')).status === 404, 'Enum types reject other values');
+
+  let rejected = false;
+  try {
+    app.paramType('broken', {});
+  } catch (error) {
+    rejected = error instanceof TypeError;
+  }
+  assert(rejected, 'Type without pattern or enum is rejected');
+}
+
+async function testLateRegistrationAndMount() {
+  console.log('\n--- Testing registration order and mount() ---');
+  const app = new Router();
+  app.GET('/late/:code:code', (req, res) => { res.json({ code: req.params.code }); });
+  app.paramType('code', { pattern: /[A-Z]{3}/ });
+  assert((await app.inject('/late/ABC')).json().code === 'ABC', 'Types registered after the route still apply');
+  assert((await app.inject('/late/abc')).status === 404, 'Late types still constrain matching');
+
+  const child = new Router();
+  child.paramType('sku', { pattern: /SKU-\d+/ });
+  child.GET('/products/:sku:sku', (req, res) => { res.json({ sku: req.params.sku }); });
+  const parent = new Router();
+  parent.mount(child, true, '/shop');
+  assert((await parent.inject('/shop/products/SKU-9')).json().sku === 'SKU-9', 'Mounted routes keep their custom types');
+  assert((await parent.inject('/shop/products/nine')).status === 404, 'Mounted custom types still constrain matching');
+
+  const parse = (value) => value.toUpperCase();
+  const host = new Router();
+  host.paramType('code', { pattern: /[a-z]+/ });
+  host.paramType('shared', { pattern: /\w+/, parse });
+  const clashing = new Router();
+  clashing.paramType('code', { pattern: /\d+/ });
+  clashing.GET('/c/:x:code', (req, res) => { res.json({ x: req.params.x }); });
+  let error = null;
+  try {
+    host.mount(clashing, true, '/k');
+  } catch (e) {
+    error = e;
+  }
+  assert(error instanceof MountError && error.message.includes("param type 'code'"), 'A type defined differently on both sides is a mount conflict');
+  assert((await host.inject('/k/c/123')).status === 404, 'Nothing is mounted after a type conflict');
+
+  const agreeing = new Router();
+  agreeing.paramType('shared', { pattern: /\w+/, parse });
+  agreeing.GET('/s/:v:shared/:n:int', (req, res) => { res.json(req.params); });
+  host.mount(agreeing, true, '/k');
+  const same = (await host.inject('/k/s/ab/3')).json();
+  assert(same.v === 'AB' && same.n === 3, 'Identical and built-in types mount without conflict');
+}
+
+async function testOpenApiSchemas() {
+  console.log('\n--- Testing OpenAPI parameter schemas ---');
+  const app = new Router();
+  app.paramType('uuid', { pattern: UUID, schema: { type: 'string', format: 'uuid' } });
+  app.paramType('color', { enum: ['red', 'green'] });
+
+  app.SCHEMA.GET('/orders/:id:uuid', { summary: 'Order' });
+  app.SCHEMA.GET('/items/:id:int', { summary: 'Item' });
+  app.SCHEMA.GET('/paint/:c:color', { summary: 'Paint' });
+
+  const spec = await app.OpenApi();
+  assert(spec.paths['/orders/{id}'].get.parameters[0].schema.format === 'uuid', 'Custom schema emitted');
+  assert(spec.paths['/items/{id}'].get.parameters[0].schema.type === 'integer', 'Built-in int emitted as integer');
+  assert(spec.paths['/paint/{c}'].get.parameters[0].schema.enum.join() === 'red,green', 'Enum types emitted as enum');
+}
+
+async function run() {
+  try {
+    await testBuiltinTypes();
+    await testCustomTypes();
+    await testLateRegistrationAndMount();
+    await testOpenApiSchemas();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,111 @@
+import { Router, errorHandler } from '../src/index.js';
+import { rawPathname } from '../src/utils.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+async function testDecoding() {
+  console.log('\n--- Testing percent-decoded paths and params ---');
+  const app = new Router();
+  const seen = [];
+
+  app.BEFORE('/users/*', (req, res, ctx) => { seen.push(req.url); });
+  app.GET('/users/:name', (req, res) => {
+    res.json({ name: req.params.name, url: req.url, raw: req.rawPath });
+  });
+  app.GET('/files/*path', (req, res) => { res.body = req.params.path; });
+  app.GET('/café', (req, res) => { res.body = 'coffee'; });
+
+  const user = await app.inject('/users/J%C3%B6rg%20M');
+  assert(user.json().name === 'Jörg M', 'Params are percent-decoded');
+  assert(user.json().url === '/users/Jörg M', 'req.url is the decoded path');
+  assert(user.json().raw === '/users/J%C3%B6rg%20M', 'req.rawPath keeps the original encoding');
+  assert(seen[0] === '/users/Jörg M', 'BEFORE hooks see the decoded path');
+
+  assert((await app.inject('/files/hello%20world')).body === 'hello world', 'Catch-all values are decoded');
+  assert((await app.inject('/caf%C3%A9')).body === 'coffee', 'Encoded static segments match decoded routes');
+
+  const slash = await app.inject('/users/a%2Fb');
+  assert(slash.status === 200 && slash.json().name === 'a/b', 'An encoded slash stays inside its segment and is decoded in the param');
+  const literal = await app.inject('/users/a%252Fb');
+  assert(literal.status === 200 && literal.json().name === 'a%2Fb', 'A literal %2F gives a different param than an encoded slash');
+  assert((await app.inject('/users/100%25')).json().name === '100%', 'An encoded percent sign is decoded in the param');
+}
+
+async function testNormalization() {
+  console.log('\n--- Testing dot segments and empty segments ---');
+  const app = new Router();
+  app.GET('/a/c', (req, res) => { res.body = req.url; });
+  app.GET('/etc/passwd', (req, res) => { res.body = 'escaped'; });
+
+  assert((await app.inject('/a/./b/../c')).body === '/a/c', 'Dot segments are resolved');
+  assert((await app.inject('//a///c')).body === '/a/c', 'Empty segments are collapsed');
+  assert((await app.inject('/a/%2e%2e/a/c')).body === '/a/c', 'Encoded dot segments are resolved too');
+  assert((await app.inject('/../../etc/passwd')).body === 'escaped', '.. never climbs above the root');
+
+  const canonical = new Router({}, { trailingSlash: 'redirect-remove' });
+  canonical.GET('/café', () => { });
+  const redirect = await canonical.inject('/caf%C3%A9/');
+  assert(redirect.headers.location === '/caf%C3%A9', 'Trailing slash redirects re-encode the path');
+}
+
+async function testMalformed() {
+  console.log('\n--- Testing malformed encodings ---');
+  const app = new Router();
+  let reached = false;
+  app.BEFORE('/*', () => { reached = true; });
+  app.GET('/users/:name', (req, res) => { res.body = 'ok'; });
+
+  const bad = await app.inject('/users/%E0%A4%A');
+  assert(bad.status === 400, 'Malformed percent-encoding answers 400');
+  assert(!reached, 'Nothing is routed for a malformed path');
+  assert((await app.inject('/users/%zz')).status === 400, 'Invalid escapes answer 400');
+  assert((await app.inject('/users/a%00b')).status === 400, 'Encoded NUL bytes answer 400');
+
+  const handled = new Router();
+  handled.GET('/x/:y', () => { });
+  handled.ERROR(errorHandler({ logger: null }));
+  const viaHandler = await handled.inject('/x/%');
+  assert(viaHandler.status === 400 && viaHandler.json().error.message === 'Malformed URL path', 'The 400 goes through app.ERROR');
+
+  assert(rawPathname('http://[bad/') === null, 'rawPathname returns null for an unparseable absolute-form target');
+}
+
+async function testStaticFiles() {
+  console.log('\n--- Testing static files with encoded names ---');
+  const app = new Router();
+  app.ASSETS('./tests/public', { prefix: '/static' });
+
+  const spaced = await app.inject('/static/hello%20world.txt');
+  assert(spaced.status === 200 && spaced.body.startsWith('hello from a spaced name'), 'Encoded file names are served');
+  assert((await app.inject('/static/../package.json')).status === 404, 'Traversal is resolved before the static handler');
+  assert((await app.inject('/static/%2e%2e/%2e%2e/package.json')).status === 404, 'Encoded traversal stays inside the folder');
+  assert((await app.inject('/static/a%2F..%2F..%2Fpackage.json')).status === 404, 'An encoded slash never becomes a directory separator');
+}
+
+async function run() {
+  try {
+    await testDecoding();
+    await testNormalization();
+    await testMalformed();
+    await testStaticFiles();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
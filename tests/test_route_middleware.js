@@ -0,0 +1,129 @@
+import { Router } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+function requireAuth(req, res, ctx) {
+  if (req.headers.authorization !== 'Bearer ok') {
+    res.status = 401;
+    res.body = { error: 'Unauthorized' };
+    return;
+  }
+  ctx.keep('user', 'ada');
+}
+
+async function testInlineChain() {
+  console.log('\n--- Testing inline route middleware ---');
+  const app = new Router();
+  const order = [];
+
+  function audit(req, res, ctx) { order.push(`audit:${ctx.user}`); }
+
+  app.BEFORE('/*', (req, res) => { res.setHeader('x-before', '1'); });
+  app.GET('/admin', [requireAuth, audit], (req, res, ctx) => {
+    order.push('handler');
+    res.body = `hello ${ctx.user}`;
+  });
+  app.GET('/public', (req, res) => { res.body = 'public'; });
+
+  const denied = await app.inject('/admin');
+  assert(denied.status === 401 && denied.json().error === 'Unauthorized', 'Middleware that sets the response ends the chain');
+  assert(order.length === 0, 'Later middleware and the handler are skipped');
+
+  const allowed = await app.inject({ url: '/admin', headers: { authorization: 'Bearer ok' } });
+  assert(allowed.body === 'hello ada', 'Handler runs when every middleware passes');
+  assert(order.join(',') === 'audit:ada,handler', 'Middleware runs in order before the handler');
+
+  assert((await app.inject('/public')).body === 'public', 'Routes without middleware are unaffected');
+
+  const head = await app.inject({ method: 'HEAD', url: '/admin' });
+  assert(head.status === 401, 'Implicit HEAD runs the GET route middleware');
+}
+
+async function testStatusFromBefore() {
+  console.log('\n--- Testing middleware after a BEFORE hook set the status ---');
+  const app = new Router();
+  app.BEFORE('/*', (req, res) => { res.status = 200; });
+  app.GET('/page', [() => { }], (req, res) => { res.body = 'page'; });
+
+  const res = await app.inject('/page');
+  assert(res.body === 'page', 'Only a response set by the middleware itself ends the chain');
+}
+
+async function testGroupsAndSubdomains() {
+  console.log('\n--- Testing inline middleware in groups and subdomains ---');
+  const app = new Router();
+  const order = [];
+
+  const api = app.group('/api');
+  api.use((handler) => async (req, res, ctx) => {
+    order.push('interceptor');
+    return handler(req, res, ctx);
+  });
+  api.POST('/items', [requireAuth, function track() { order.push('track'); }], (req, res) => {
+    order.push('handler');
+    res.status = 201;
+    res.body = 'created';
+  });
+
+  app.subdomain('admin');
+  app.GET('/', [requireAuth], (req, res) => { res.body = 'admin home'; }, 'admin');
+
+  const created = await app.inject({ method: 'POST', url: '/api/items', headers: { authorization: 'Bearer ok' } });
+  assert(created.status === 201, 'Group routes accept middleware arrays');
+  assert(order.join(',') === 'track,interceptor,handler', 'Inline middleware runs before group interceptors');
+
+  const denied = await app.inject({ url: '/', headers: { host: 'admin.example.com' } });
+  assert(denied.status === 401, 'Subdomain argument follows the handler');
+}
+
+async function testIntrospectionAndMount() {
+  console.log('\n--- Testing introspection and mount() ---');
+  const child = new Router();
+  child.GET('/secret', [requireAuth], (req, res) => { res.body = 'secret'; });
+
+  const parent = new Router();
+  parent.mount(child, true, '/child');
+
+  const denied = await parent.inject('/child/secret');
+  assert(denied.status === 401, 'Mounted routes keep their middleware');
+
+  const entry = parent.routes().find(route => route.path === '/child/secret');
+  assert(entry.middleware.length === 1 && entry.middleware[0].name === 'requireAuth', 'routes() lists inline middleware');
+
+  const lines = [];
+  parent.printRoutes(line => lines.push(line));
+  assert(lines.join('\n').includes('MIDDLEWARE') && lines.join('\n').includes('requireAuth'), 'printRoutes() shows inline middleware');
+
+  parent.replaceRoute('GET', '/child/secret', (req, res) => { res.body = 'replaced'; });
+  const replaced = await parent.inject({ url: '/child/secret', headers: { authorization: 'Bearer ok' } });
+  const stillDenied = await parent.inject('/child/secret');
+  assert(replaced.body === 'replaced' && stillDenied.status === 401, 'replaceRoute() keeps the middleware');
+}
+
+async function run() {
+  try {
+    await testInlineChain();
+    await testStatusFromBefore();
+    await testGroupsAndSubdomains();
+    await testIntrospectionAndMount();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
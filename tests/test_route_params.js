@@ -0,0 +1,137 @@
+import { Router, UrlDuplicateError } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+async function testConstrainedParams() {
+  console.log('\n--- Testing regex-constrained params ---');
+  const app = new Router();
+
+  app.GET('/users/me', (req, res) => { res.json({ route: 'me' }); });
+  app.GET('/users/:id(\\d+)', (req, res) => { res.json({ route: 'id', id: req.params.id }); });
+  app.GET('/users/:slug', (req, res) => { res.json({ route: 'slug', slug: req.params.slug }); });
+  app.GET('/orders/:code([A-Z]{3}-\\d{2})', (req, res) => { res.json({ code: req.params.code }); });
+
+  assert((await app.inject('/users/me')).json().route === 'me', 'Static segment wins over params');
+  const byId = (await app.inject('/users/42')).json();
+  assert(byId.route === 'id' && byId.id === '42', 'Constrained param matches its pattern');
+  const bySlug = (await app.inject('/users/ada')).json();
+  assert(bySlug.route === 'slug' && bySlug.slug === 'ada', 'Non-matching value falls through to the plain param');
+  assert((await app.inject('/orders/ABC-12')).json().code === 'ABC-12', 'Pattern is anchored to the whole segment');
+  assert((await app.inject('/orders/ABC-123')).status === 404, 'Partial pattern matches are rejected');
+}
+
+async function testOptionalSegments() {
+  console.log('\n--- Testing optional segments ---');
+  const app = new Router();
+
+  app.GET('/:lang?/docs', (req, res) => { res.json({ lang: req.params.lang || null }); });
+  app.GET('/posts/:year(\\d{4})?/archive', (req, res) => { res.json({ year: req.params.year || null }); });
+
+  assert((await app.inject('/docs')).json().lang === null, 'Optional segment may be omitted');
+  assert((await app.inject('/fr/docs')).json().lang === 'fr', 'Optional segment captured when present');
+  assert((await app.inject('/posts/2024/archive')).json().year === '2024', 'Optional constrained segment captured');
+  assert((await app.inject('/posts/archive')).json().year === null, 'Optional constrained segment omitted');
+  assert((await app.inject('/posts/abc/archive')).status === 404, 'Optional segment still honours its constraint');
+
+  let conflict = false;
+  try {
+    app.GET('/docs', () => { });
+  } catch (error) {
+    conflict = error instanceof UrlDuplicateError;
+  }
+  assert(conflict, 'Route colliding with an optional expansion is rejected');
+
+  const other = new Router();
+  other.GET('/docs', (req, res) => { res.body = 'docs'; });
+  let rejected = false;
+  try {
+    other.GET('/:lang?/docs', (req, res) => { res.body = 'rejected'; });
+  } catch (error) {
+    rejected = error instanceof UrlDuplicateError;
+  }
+  assert(rejected, 'Optional route colliding with an existing route is rejected');
+  assert((await other.inject('/en/docs')).status === 404, 'A rejected optional route leaves none of its variants behind');
+  assert((await other.inject('/docs')).body === 'docs', 'The existing route keeps serving');
+  assert(other.routes().every(row => row.path !== '/:lang?/docs'), 'The rejected route is not listed');
+  other.GET('/:lang/docs', (req, res) => { res.body = req.params.lang; });
+  assert((await other.inject('/en/docs')).body === 'en', 'The freed path can be registered again');
+}
+
+async function testNamedCatchAll() {
+  console.log('\n--- Testing named catch-alls and backtracking ---');
+  const app = new Router();
+
+  app.GET('/files/*path', (req, res) => { res.json({ path: req.params.path }); });
+  app.GET('/a/:x/b', (req, res) => { res.json({ route: 'a/:x/b' }); });
+  app.GET('/a/*', (req, res) => { res.json({ route: 'a/*' }); });
+
+  assert((await app.inject('/files/docs/2024/report.pdf')).json().path === 'docs/2024/report.pdf', 'Catch-all captures the remaining path');
+  assert((await app.inject('/a/1/b')).json().route === 'a/:x/b', 'Deeper param route matches');
+  assert((await app.inject('/a/1/c')).json().route === 'a/*', 'Failed param branch backtracks to the wildcard');
+
+  app.GET('/named/*rest', () => { }, { name: 'named' });
+  assert(app.url('named', { rest: 'x/y z' }) === '/named/x/y%20z', 'Named catch-alls reverse from their param');
+}
+
+async function testParamIsolation() {
+  console.log('\n--- Testing per-route param names ---');
+  const app = new Router();
+
+  app.GET('/users/:id:int', (req, res) => { res.json(req.params); });
+  app.GET('/users/:slug/posts', (req, res) => { res.json(req.params); });
+  app.GET('/users/:uid/posts/:pid:int/edit', (req, res) => { res.json(req.params); });
+  app.GET('/users/*rest', (req, res) => { res.json(req.params); });
+
+  const byId = (await app.inject('/users/7')).json();
+  assert(byId.id === 7 && Object.keys(byId).length === 1, 'Route receives only its own typed param');
+
+  const posts = (await app.inject('/users/ada/posts')).json();
+  assert(posts.slug === 'ada' && Object.keys(posts).length === 1, 'Sibling route at the same position uses its own name');
+
+  const edit = (await app.inject('/users/ada/posts/3/edit')).json();
+  assert(edit.uid === 'ada' && edit.pid === 3 && Object.keys(edit).length === 2, 'Nested params keep names and types per route');
+
+  const rest = (await app.inject('/users/ada/posts/3/delete')).json();
+  assert(rest.rest === 'ada/posts/3/delete' && Object.keys(rest).length === 1, 'Params from failed branches are rolled back');
+}
+
+async function testOpenApiPaths() {
+  console.log('\n--- Testing OpenAPI output for extended params ---');
+  const app = new Router();
+  app.SCHEMA.GET('/users/:id(\\d+)', { summary: 'User' });
+  app.SCHEMA.GET('/files/*path', { summary: 'File' });
+
+  const spec = await app.OpenApi();
+  const user = spec.paths['/users/{id}'];
+  assert(user && user.get.parameters[0].schema.pattern === '^(?:\\d+)$', 'Constraint emitted as a schema pattern');
+  assert(spec.paths['/files/{path}'].get.parameters[0].name === 'path', 'Catch-all emitted as a path parameter');
+}
+
+async function run() {
+  try {
+    await testConstrainedParams();
+    await testOptionalSegments();
+    await testNamedCatchAll();
+    await testParamIsolation();
+    await testOpenApiPaths();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
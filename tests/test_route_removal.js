@@ -0,0 +1,103 @@
+import { Router, UrlError } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+async function testRemoveRoute() {
+  console.log('\n--- Testing app.removeRoute() ---');
+  const app = new Router();
+
+  app.GET('/beta/feature', (req, res) => { res.body = 'feature'; }, { name: 'beta' });
+  app.GET('/beta/:slug', (req, res) => { res.body = `slug ${req.params.slug}`; });
+  app.GET('/:lang?/help', (req, res) => { res.body = 'help'; });
+  app.GET('/files/*path', (req, res) => { res.body = 'file'; });
+  app.POST('/items', (req, res) => { res.body = 'created'; });
+
+  assert((await app.inject('/beta/feature')).body === 'feature', 'Route is live before removal');
+  assert(app.removeRoute('GET', '/beta/feature') === true, 'removeRoute reports removal');
+  assert((await app.inject('/beta/feature')).body === 'slug feature', 'Removed static route falls back to the param route');
+  assert(!app.routes().some(route => route.path === '/beta/feature'), 'Route disappears from introspection');
+  assert(!app._names.has('beta'), 'Route name is released');
+
+  const root = app.subdomains.get('www').routes.get('GET');
+  app.removeRoute('GET', '/beta/:slug');
+  assert(!root.children.has('beta'), 'Empty branches are pruned from the tree');
+  assert((await app.inject('/beta/x')).status === 404, 'Removed param route no longer matches');
+
+  app.removeRoute('GET', '/:lang?/help');
+  assert((await app.inject('/help')).status === 404 && (await app.inject('/en/help')).status === 404, 'All optional expansions are removed');
+
+  app.removeRoute('get', '/files/*path');
+  assert((await app.inject('/files/a/b')).status === 404, 'Wildcard routes can be removed (method is case-insensitive)');
+
+  assert(app.removeRoute('GET', '/never') === false, 'Removing an unknown route returns false');
+
+  app.GET('/beta/feature', (req, res) => { res.body = 'back'; });
+  assert((await app.inject('/beta/feature')).body === 'back', 'A removed route can be registered again');
+
+  const other = await app.inject({ method: 'GET', url: '/items' });
+  assert(other.status === 405, 'Remaining routes still produce 405s');
+}
+
+async function testReplaceRoute() {
+  console.log('\n--- Testing app.replaceRoute() with SCHEMA ---');
+  const app = new Router();
+
+  app.BEFORE('/*', (req, res, ctx) => {
+    if (req.body) req.body = JSON.parse(req.body);
+  });
+  app.POST('/users', (req, res) => { res.body = { version: 1, user: req.body }; });
+  app.SCHEMA.POST('/users', {
+    expects: (data) => data.name ? { data: { ...data, checked: true } } : { problems: 'Name is required' }
+  });
+
+  const before = await app.inject({ method: 'POST', url: '/users', body: { name: 'Ada' } });
+  assert(before.json().version === 1 && before.json().user.checked, 'Original handler is baked');
+
+  app.replaceRoute('POST', '/users', (req, res) => { res.body = { version: 2, user: req.body }; });
+
+  const after = await app.inject({ method: 'POST', url: '/users', body: { name: 'Ada' } });
+  assert(after.json().version === 2, 'Replacement handler serves requests');
+  assert(after.json().user.checked === true, 'Replacement handler is wrapped with the SCHEMA validation');
+
+  const invalid = await app.inject({ method: 'POST', url: '/users', body: {} });
+  assert(invalid.status === 422, 'Replacement still rejects invalid payloads');
+
+  app.removeRoute('POST', '/users');
+  app.POST('/users', (req, res) => { res.body = { version: 3, user: req.body }; });
+  const readded = await app.inject({ method: 'POST', url: '/users', body: {} });
+  assert(readded.status === 422, 'Re-registered route is baked on arrival');
+
+  let threw = false;
+  try {
+    app.replaceRoute('GET', '/missing', () => { });
+  } catch (error) {
+    threw = error instanceof UrlError;
+  }
+  assert(threw, 'Replacing an unknown route throws UrlError');
+}
+
+async function run() {
+  try {
+    await testRemoveRoute();
+    await testReplaceRoute();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,163 @@
+import http from 'http';
+import { WebSocket } from 'ws';
+import { Router } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+async function start(app, options = {}) {
+  const { port } = await app.listen({ port: 0, host: '127.0.0.1', signals: false, ...options });
+  return port;
+}
+
+function get(agent, port, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path, agent }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+async function testDrainInFlight() {
+  console.log('\n--- Testing close() drains in-flight requests ---');
+  const app = new Router();
+  const events = [];
+  let release;
+  let deferredDone = false;
+
+  app.GET('/slow', async (req, res) => {
+    await new Promise(resolve => { release = resolve; });
+    res.defer(async () => {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      deferredDone = true;
+    });
+    res.body = 'done';
+  });
+  app.GET('/fast', (req, res) => { res.body = 'fast'; });
+  app.ONCE('shutdown', () => { events.push('hook'); });
+
+  app.on('shutdown', () => events.push('shutdown'));
+  app.on('drain', () => { if (!events.includes('drain')) events.push('drain'); });
+  app.on('drained', ({ forced }) => events.push(forced ? 'forced' : 'drained'));
+
+  const port = await start(app);
+  const agent = new http.Agent({ keepAlive: true });
+
+  const warm = await get(agent, port, '/fast');
+  assert(warm.headers.connection === 'keep-alive', 'Keep-alive is used before shutdown');
+
+  const pending = get(agent, port, '/slow');
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  const closing = app.close();
+  release();
+  const slow = await pending;
+  assert(slow.status === 200 && slow.body === 'done', 'In-flight request still completes');
+  assert(slow.headers.connection === 'close', 'In-flight keep-alive request is answered with Connection: close');
+
+  await closing;
+  assert(deferredDone, 'close() waits for deferred tasks');
+  assert(events.join(',') === 'shutdown,drain,drained,hook', 'Events fire in order before SHUTDOWN hooks');
+  await app.close();
+  assert(events.filter(event => event === 'hook').length === 1, 'Repeated close() calls share one shutdown');
+
+  agent.destroy();
+}
+
+async function testWebSocketGoingAway() {
+  console.log('\n--- Testing WebSocket clients are closed with 1001 ---');
+  const app = new Router();
+  app.WS('/live', (ws) => { ws.send('hello'); });
+
+  const port = await start(app);
+  const ws = new WebSocket(`ws://127.0.0.1:${port}/live`);
+  await new Promise(resolve => ws.once('message', resolve));
+
+  const closed = new Promise(resolve => ws.once('close', (code) => resolve(code)));
+  await app.close();
+  assert(await closed === 1001, 'WebSocket clients receive 1001 Going Away');
+}
+
+async function testShutdownTimeout() {
+  console.log('\n--- Testing shutdownTimeout forces remaining connections closed ---');
+  const app = new Router();
+  app.GET('/stuck', () => new Promise(() => { }));
+
+  const port = await start(app, { shutdownTimeout: 200 });
+  let timeout = null;
+  app.on('timeout', (left) => { timeout = left; });
+
+  const stuck = new Promise((resolve) => {
+    http.get({ host: '127.0.0.1', port, path: '/stuck', agent: false })
+      .on('error', (error) => resolve(error.code));
+  });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  const started = Date.now();
+  let drained = null;
+  app.on('drained', (info) => { drained = info; });
+  await app.close();
+
+  assert(Date.now() - started < 1000, 'close() returns once the deadline passes');
+  assert(timeout && timeout.requests === 1 && timeout.connections === 1, "'timeout' reports what was left");
+  assert(drained && drained.forced === true, "'drained' reports a forced shutdown");
+  assert(await stuck === 'ECONNRESET', 'Stuck connection is destroyed');
+}
+
+async function testHungShutdownHook() {
+  console.log('\n--- Testing a SHUTDOWN hook that never settles ---');
+  const app = new Router();
+  app.GET('/stuck', () => new Promise(() => { }));
+  app.ONCE('shutdown', () => new Promise(() => { }));
+  const port = await start(app, { shutdownTimeout: 600 });
+
+  const stuck = new Promise((resolve) => {
+    http.get({ host: '127.0.0.1', port, path: '/stuck', agent: false })
+      .on('error', (error) => resolve(error.code));
+  });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  const originalError = console.error;
+  const logged = [];
+  console.error = (...args) => { logged.push(args.join(' ')); };
+  const started = Date.now();
+  try {
+    await app.close();
+  } finally {
+    console.error = originalError;
+  }
+
+  const elapsed = Date.now() - started;
+  assert(elapsed < 1000, `A stuck request and a stuck hook share one shutdownTimeout (${elapsed}ms)`);
+  assert(logged.some(line => line.includes('SHUTDOWN hooks still running')), 'The abandoned hooks are reported');
+  assert(await stuck === 'ECONNRESET', 'Stuck connection is destroyed');
+}
+
+async function run() {
+  try {
+    await testDrainInFlight();
+    await testWebSocketGoingAway();
+    await testShutdownTimeout();
+    await testHungShutdownHook();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
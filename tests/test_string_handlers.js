@@ -0,0 +1,162 @@
+import { Router, HandlerError } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+async function quietly(fn) {
+  const originalError = console.error;
+  console.error = () => { };
+  try {
+    return await fn();
+  } finally {
+    console.error = originalError;
+  }
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function testLazyReferences() {
+  console.log('\n--- Testing lazy string handler references ---');
+  const app = new Router(null, { handlerRoot: './tests' });
+
+  app.BEFORE('/users/*', './handlers/users.js:stamp');
+  app.GET('/users', './handlers/users.js');
+  app.GET('/users/:id:int', './handlers/users.js:show');
+  app.GET('/private', ['./handlers/users.js:guard'], './handlers/users.js:show');
+
+  const group = app.group('/v2');
+  group.use((handler) => (req, res, ctx) => {
+    res.setHeader('x-group', 'v2');
+    return handler(req, res, ctx);
+  });
+  group.GET('/users', './handlers/users.js');
+
+  assert(!globalThis.usersHandlerImports, 'Modules are not imported at registration');
+
+  const shown = await app.inject('/users/7');
+  assert(shown.status === 200 && shown.json().id === 7, 'Named export handles the route on first hit');
+  assert(shown.headers['x-stamped'] === 'yes', 'String references work for BEFORE hooks');
+  assert(globalThis.usersHandlerImports === 1, 'Module is imported once on first hit');
+
+  const index = await app.inject('/users');
+  assert(index.body === 'users', 'A reference without an export name uses the default export');
+
+  const denied = await app.inject('/private');
+  assert(denied.status === 401, 'String references work as inline middleware');
+
+  const grouped = await app.inject('/v2/users');
+  assert(grouped.body === 'users' && grouped.headers['x-group'] === 'v2', 'Group interceptors wrap resolved references');
+
+  const [row] = app.routes().filter(entry => entry.path === '/users/:id:int');
+  assert(row.befores[0].name === './handlers/users.js:stamp', 'Route table shows the reference');
+  assert(app._resolveHandler('./handlers/users.js:show') === app._resolveHandler('./handlers/users.js:show'), 'The same reference yields the same function');
+}
+
+async function testStartupCheck() {
+  console.log('\n--- Testing startup checks ---');
+  const app = new Router(null, { handlerRoot: './tests' });
+  app.GET('/missing', './handlers/missing.js:show');
+  app.GET('/broken', './handlers/nowhere.js');
+
+  const error = await rejection(app.inject('/missing'));
+  assert(error instanceof HandlerError, 'Missing modules fail the startup check');
+  assert(error && error.message.includes('2 handler reference(s)'), 'Every broken reference is reported at once');
+  assert(error && error.message.includes("'./handlers/missing.js:show'"), 'The message names the reference');
+
+  const eager = new Router(null, { handlerRoot: './tests', eagerHandlers: true });
+  eager.GET('/number', './handlers/users.js:notAFunction');
+  const exported = await rejection(eager.inject('/number'));
+  assert(exported instanceof HandlerError && exported.message.includes("no exported function 'notAFunction'"), 'Eager loading verifies the export');
+
+  const lazy = new Router(null, { handlerRoot: './tests' });
+  lazy.GET('/number', './handlers/users.js:notAFunction');
+  const late = await quietly(() => lazy.inject('/number'));
+  assert(late.status === 500, 'Lazy references with a bad export fail on first hit');
+}
+
+async function testMountedRoots() {
+  console.log('\n--- Testing references of mounted routers ---');
+  const child = new Router(null, { handlerRoot: './tests/handlers' });
+  child.GET('/users/:id', './users.js:show');
+
+  const app = new Router();
+  app.mount(child, true, '/child');
+
+  const res = await app.inject('/child/users/3');
+  assert(res.json().id === '3', "Mounted references resolve against the child's root");
+
+  const broken = new Router(null, { handlerRoot: './tests/handlers' });
+  broken.GET('/gone', './gone.js');
+  const parent = new Router();
+  parent.mount(broken, true, '/broken');
+  const error = await rejection(parent.inject('/broken/gone'));
+  assert(error instanceof HandlerError, "The parent's startup check covers mounted routers");
+}
+
+async function testCallReferences() {
+  console.log('\n--- Testing call() with references ---');
+  const app = new Router(null, { handlerRoot: './tests' });
+  app.call('./handlers/setup.js:configure', '/v1');
+  app.call((router, prefix) => { router.GET(`${prefix}/ping`, (req, res) => { res.body = 'pong'; }); }, '/v2');
+
+  assert((await app.inject('/v1/status')).json().prefix === '/v1', 'Routes registered by a referenced call() are served from the start');
+  assert((await app.inject('/v1/users/4')).json().id === '4', 'References the called function registers are resolved too');
+  assert((await app.inject('/v2/ping')).body === 'pong', 'call() runs a function with the router and its arguments');
+
+  const broken = new Router(null, { handlerRoot: './tests' });
+  broken.call('./handlers/missing.js:configure');
+  await new Promise(resolve => setTimeout(resolve, 50)); // An unhandled rejection would have fired by now
+  const error = await rejection(broken.inject('/'));
+  assert(error instanceof HandlerError && error.message.includes('missing.js'), 'A missing module rejects startup with a HandlerError');
+  assert(await rejection(broken.inject('/')) instanceof HandlerError, 'It keeps failing startup');
+}
+
+async function testUseRejectsReferences() {
+  console.log('\n--- Testing use() with references ---');
+  const app = new Router(null, { handlerRoot: './tests' });
+  app.GET('/x/y', (req, res) => { res.body = 'y'; });
+
+  let error = null;
+  try {
+    app.use('/x', './handlers/users.js:stamp');
+  } catch (e) {
+    error = e;
+  }
+  assert(error instanceof TypeError && error.message.includes('AROUND()'), 'use() asks for BEFORE() or AROUND() with a string reference');
+  assert(!(await app.inject('/x/y')).headers['x-stamped'], 'Nothing is registered');
+}
+
+async function run() {
+  try {
+    await testLazyReferences();
+    await testStartupCheck();
+    await testMountedRoots();
+    await testCallReferences();
+    await testUseRejectsReferences();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,157 @@
+import net from 'net';
+import { setTimeout as sleep } from 'timers/promises';
+import { Router, GatewayTimeoutError, ServiceUnavailableError } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+const slow = ms => async (req, res) => {
+  await sleep(ms);
+  res.body = 'late';
+};
+
+async function testRouterTimeout() {
+  console.log('\n--- Testing the router timeout option ---');
+  const app = new Router(null, { timeout: 50 });
+  let seen = null;
+  let finalError = null;
+
+  app.GET('/slow', slow(200));
+  app.GET('/fast', (req, res) => { res.body = 'fast'; });
+  app.FINALLY('/*', (req, res, ctx, error) => { finalError = error; });
+  app.ERROR((error, req, res) => {
+    seen = error;
+    res.status = error.statusCode;
+    res.body = 'timed out';
+  });
+
+  const started = Date.now();
+  const timedOut = await app.inject('/slow');
+  assert(timedOut.status === 504 && timedOut.body === 'timed out', 'A slow handler answers 504 through app.ERROR');
+  assert(Date.now() - started < 150, 'The response does not wait for the handler');
+  assert(seen instanceof GatewayTimeoutError && seen.message === 'GET /slow timed out after 50ms', 'The error handler gets a GatewayTimeoutError');
+  assert(finalError === seen, 'FINALLY hooks see the timeout error');
+
+  const fast = await app.inject('/fast');
+  assert(fast.status === 200 && fast.body === 'fast', 'Routes within the deadline are unaffected');
+
+  const unavailable = new Router(null, { timeout: 20, timeoutStatus: 503 });
+  unavailable.GET('/slow', slow(100));
+  let error = null;
+  unavailable.ERROR((e, req, res) => { error = e; res.status = e.statusCode; });
+  const refused = await unavailable.inject('/slow');
+  assert(refused.status === 503 && error instanceof ServiceUnavailableError, 'timeoutStatus: 503 answers with ServiceUnavailableError');
+}
+
+async function testGroupAndRouteTimeouts() {
+  console.log('\n--- Testing group and route timeouts ---');
+  const app = new Router(null, { timeout: 1000 });
+
+  const api = app.group('/api', { timeout: 30 });
+  api.GET('/slow', slow(100));
+  api.GET('/patient', slow(60), { timeout: 500 });
+  api.GET('/unbounded', slow(60), { timeout: 0 });
+  api.group('/v2').GET('/slow', slow(100));
+  app.GET('/route', slow(100), { timeout: 30 });
+
+  assert((await app.inject('/api/slow')).status === 504, 'Group timeout applies to its routes');
+  assert((await app.inject('/api/v2/slow')).status === 504, 'Subgroups inherit the group timeout');
+  assert((await app.inject('/api/patient')).body === 'late', 'A route timeout overrides its group');
+  assert((await app.inject('/api/unbounded')).body === 'late', 'timeout: 0 turns the deadline off');
+  assert((await app.inject('/route')).status === 504, 'Route timeout applies outside groups');
+
+  const child = new Router();
+  child.GET('/slow', slow(100), { timeout: 30 });
+  const parent = new Router();
+  parent.mount(child, false, '/child');
+  assert((await parent.inject('/child/slow')).status === 504, 'Mounted routes keep their timeout');
+}
+
+async function testAbortSignal() {
+  console.log('\n--- Testing req.signal ---');
+  const app = new Router(null, { timeout: 30 });
+  let reason = null;
+  let cancelled = false;
+
+  app.GET('/work', async (req, res) => {
+    req.signal.addEventListener('abort', () => { reason = req.signal.reason; });
+    try {
+      await sleep(500, null, { signal: req.signal });
+      res.body = 'done';
+    } catch (error) {
+      cancelled = error.name === 'AbortError';
+      throw error;
+    }
+  });
+  app.GET('/quick', (req, res) => { res.body = String(req.signal.aborted); });
+
+  const res = await app.inject('/work');
+  await sleep(10);
+  assert(res.status === 504, 'The request times out');
+  assert(reason instanceof GatewayTimeoutError, 'The signal aborts with the timeout error as reason');
+  assert(cancelled, 'Work listening to the signal is cancelled');
+  assert((await app.inject('/quick')).body === 'false', 'The signal is not aborted for requests in time');
+}
+
+async function testServerTimeouts() {
+  console.log('\n--- Testing listen() server timeouts ---');
+  const app = new Router();
+  app.GET('/', (req, res) => { res.body = 'ok'; });
+
+  const originalLog = console.log;
+  console.log = () => { };
+  const { port } = await app.listen({
+    port: 0,
+    host: '127.0.0.1',
+    signals: false,
+    headersTimeout: 2000,
+    requestTimeout: 5000,
+    keepAliveTimeout: 100
+  });
+  console.log = originalLog;
+
+  const [server] = app._servers;
+  assert(server.headersTimeout === 2000 && server.requestTimeout === 5000, 'headersTimeout and requestTimeout are applied');
+
+  // A raw socket, so only the server decides when the idle connection closes
+  const closedAfter = await new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => {
+      socket.write('GET / HTTP/1.1\r\nHost: localhost\r\nConnection: keep-alive\r\n\r\n');
+    });
+    let idle = null;
+    socket.on('data', () => { idle = idle || Date.now(); });
+    socket.on('close', () => resolve(Date.now() - idle));
+    socket.on('error', reject);
+  });
+  // Node may keep the socket a little past keepAliveTimeout; the default would be 5 seconds
+  assert(closedAfter >= 80 && closedAfter < 3000, `Idle keep-alive connections close after keepAliveTimeout (${closedAfter}ms)`);
+
+  await app.close();
+}
+
+async function run() {
+  try {
+    await testRouterTimeout();
+    await testGroupAndRouteTimeouts();
+    await testAbortSignal();
+    await testServerTimeouts();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,166 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import https from 'https';
+import http2 from 'http2';
+import { execFileSync } from 'child_process';
+import { WebSocket } from 'ws';
+import { Router } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+/**
+ * Self-signed certificate for localhost, generated with openssl into a temp directory
+ */
+function selfSigned() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routerling-tls-'));
+  const key = path.join(dir, 'key.pem');
+  const cert = path.join(dir, 'cert.pem');
+  execFileSync('openssl', [
+    'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '1',
+    '-keyout', key, '-out', cert, '-subj', '/CN=localhost'
+  ], { stdio: 'ignore' });
+  const tls = { key: fs.readFileSync(key), cert: fs.readFileSync(cert) };
+  fs.rmSync(dir, { recursive: true, force: true });
+  return tls;
+}
+
+function createApp() {
+  const app = new Router();
+  app.GET('/whoami', (req, res) => {
+    res.json({ scheme: req.scheme, secure: req.isSecure, version: req.httpVersion, host: req.headers.host });
+  });
+  app.WS('/echo', (ws) => {
+    ws.on('message', (data) => ws.send(`echo:${data}`));
+  });
+  return app;
+}
+
+async function start(app, options) {
+  const originalLog = console.log;
+  console.log = () => { };
+  try {
+    const { port } = await app.listen({ port: 0, host: '127.0.0.1', ...options });
+    return { app, port };
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+function httpsGet(port, pathname) {
+  return new Promise((resolve, reject) => {
+    https.get({ host: '127.0.0.1', port, path: pathname, rejectUnauthorized: false, agent: false }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+}
+
+function h2Get(port, pathname) {
+  return new Promise((resolve, reject) => {
+    const client = http2.connect(`https://localhost:${port}`, { rejectUnauthorized: false });
+    client.on('error', reject);
+    const stream = client.request({ ':path': pathname });
+    let status = 0;
+    let body = '';
+    stream.on('response', (headers) => { status = headers[':status']; });
+    stream.on('data', (chunk) => { body += chunk; });
+    stream.on('end', () => {
+      client.close();
+      resolve({ status, body });
+    });
+  });
+}
+
+function wsEcho(port) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`wss://127.0.0.1:${port}/echo`, { rejectUnauthorized: false });
+    ws.on('open', () => ws.send('hi'));
+    ws.on('message', (data) => { resolve(String(data)); ws.close(); });
+    ws.on('error', reject);
+  });
+}
+
+async function testHttps(tls) {
+  console.log('\n--- Testing listen({ tls }) ---');
+  const { app, port } = await start(createApp(), { tls });
+
+  const res = await httpsGet(port, '/whoami');
+  const info = JSON.parse(res.body);
+  assert(res.status === 200 && info.scheme === 'https' && info.secure === true, 'HTTPS requests report the https scheme');
+  assert(info.version === '1.1', 'HTTPS requests report HTTP/1.1');
+  assert(await wsEcho(port) === 'echo:hi', 'WebSocket upgrades work over TLS');
+
+  await app.close();
+}
+
+async function testHttp2(tls) {
+  console.log('\n--- Testing listen({ tls, http2 }) ---');
+  const { app, port } = await start(createApp(), { tls, http2: true });
+
+  const res = await h2Get(port, '/whoami');
+  const info = JSON.parse(res.body);
+  assert(res.status === 200 && info.scheme === 'https' && info.version === '2.0', 'HTTP/2 requests report https and version 2.0');
+  assert(info.host === `localhost:${port}`, 'The :authority header stands in for Host');
+
+  const fallback = JSON.parse((await httpsGet(port, '/whoami')).body);
+  assert(fallback.version === '1.1' && fallback.secure === true, 'HTTP/1.1 clients are still served by default');
+  assert(await wsEcho(port) === 'echo:hi', 'WebSocket upgrades work on the HTTP/2 server');
+
+  await app.close();
+
+  const strict = await start(createApp(), { tls, http2: true, allowHTTP1: false });
+  const refused = await httpsGet(strict.port, '/whoami');
+  assert(refused.status === 403 && !refused.body.includes('scheme'), 'allowHTTP1: false refuses HTTP/1.1 clients');
+  strict.app.close(); // The refused socket lingers until its unknown-protocol timeout
+}
+
+async function testOptions() {
+  console.log('\n--- Testing listen() options ---');
+  let error = null;
+  try {
+    new Router().listen({ port: 0, http2: true });
+  } catch (e) {
+    error = e;
+  }
+  assert(error instanceof TypeError, 'http2 without tls is rejected');
+
+  const plain = await createApp().inject('/whoami');
+  assert(plain.json().scheme === 'http' && plain.json().secure === false, 'Plain requests report the http scheme');
+}
+
+async function run() {
+  let tls;
+  try {
+    tls = selfSigned();
+  } catch {
+    console.log('openssl is not available - skipping TLS tests');
+    process.exit(0);
+  }
+
+  try {
+    await testHttps(tls);
+    await testHttp2(tls);
+    await testOptions();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
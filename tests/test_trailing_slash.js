@@ -0,0 +1,139 @@
+import { Router } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+function build(trailingSlash) {
+  const app = new Router({}, { trailingSlash });
+  const hooks = [];
+
+  app.BEFORE('/users', (req, res, ctx) => { hooks.push(req.url); });
+  app.GET('/users', (req, res) => { res.body = 'users'; });
+  app.GET('/teams/', (req, res) => { res.body = 'teams'; });
+  app.GET('/users/:id', (req, res) => { res.body = `user ${req.params.id}`; });
+  app.GET('/files/*path', (req, res) => { res.body = `file ${req.params.path}`; });
+  app.ASSETS('./tests/public', { prefix: '/static' });
+
+  return { app, hooks };
+}
+
+async function testIgnore() {
+  console.log('\n--- Testing trailingSlash: ignore (default) ---');
+  const { app, hooks } = build('ignore');
+
+  assert((await app.inject('/users')).body === 'users', '/users matches /users');
+  assert((await app.inject('/users/')).body === 'users', '/users/ matches /users');
+  assert((await app.inject('/teams')).body === 'teams', '/teams matches /teams/');
+  assert(hooks.length === 2, 'BEFORE /users runs for both forms');
+  assert((await app.inject('/static/guide')).body.includes('Guide'), 'Directory index served without a slash');
+  assert((await app.inject('/static/style.css/')).status === 200, 'File served with a slash');
+
+  assert(new Router()._options.trailingSlash === 'ignore', 'ignore is the default');
+
+  let threw = false;
+  try {
+    new Router({}, { trailingSlash: 'sometimes' });
+  } catch (e) {
+    threw = e instanceof TypeError;
+  }
+  assert(threw, 'Unknown policies are rejected');
+}
+
+async function testStrict() {
+  console.log('\n--- Testing trailingSlash: strict ---');
+  const { app, hooks } = build('strict');
+
+  assert((await app.inject('/users')).body === 'users', '/users matches /users');
+  assert((await app.inject('/users/')).status === 404, '/users/ does not match /users');
+  assert((await app.inject('/teams/')).body === 'teams', '/teams/ matches /teams/');
+  assert((await app.inject('/teams')).status === 404, '/teams does not match /teams/');
+  assert((await app.inject('/users/7')).body === 'user 7', 'Params still match');
+  assert(hooks.length === 1 && hooks[0] === '/users', 'BEFORE /users does not run for /users/');
+  assert((await app.inject('/files/a/b/')).body === 'file a/b/', 'Catch-alls keep the slash in their value');
+
+  assert((await app.inject('/static/guide/')).body.includes('Guide'), 'Directory index served at /guide/');
+  assert((await app.inject('/static/guide')).status === 404, 'Directory not served without a slash');
+  assert((await app.inject('/static/style.css')).status === 200, 'File served without a slash');
+  assert((await app.inject('/static/style.css/')).status === 404, 'File not served with a slash');
+
+  const both = new Router({}, { trailingSlash: 'strict' });
+  both.GET('/a', (req, res) => { res.body = 'bare'; });
+  both.GET('/a/', (req, res) => { res.body = 'slashed'; });
+  assert((await both.inject('/a')).body === 'bare' && (await both.inject('/a/')).body === 'slashed', 'Both forms can be separate routes');
+}
+
+async function testRedirects() {
+  console.log('\n--- Testing trailingSlash: redirect-add / redirect-remove ---');
+  const { app: add } = build('redirect-add');
+
+  const toSlash = await add.inject('/users?page=2');
+  assert(toSlash.status === 308, 'redirect-add answers 308');
+  assert(toSlash.headers.location === '/users/?page=2', 'redirect-add keeps the query string');
+  assert((await add.inject('/users/')).body === 'users', 'Canonical form is served');
+  assert((await add.inject('/nowhere')).status === 404, 'Unknown paths are not redirected');
+  assert((await add.inject('/files/a.txt')).body === 'file a.txt', 'Catch-alls never gain a slash');
+  assert((await add.inject('/static/guide')).headers.location === '/static/guide/', 'Static directories gain a slash');
+  assert((await add.inject('/static/style.css')).status === 200, 'Static files are served without a slash');
+  assert((await add.inject('/static/style.css/')).headers.location === '/static/style.css', 'Static files lose a slash');
+
+  const { app: remove, hooks } = build('redirect-remove');
+  remove.POST('/teams/', (req, res) => { res.body = 'created'; });
+  const toBare = await remove.inject({ method: 'POST', url: '/teams/?x=1' });
+  assert(toBare.status === 308 && toBare.headers.location === '/teams?x=1', 'redirect-remove answers 308 for any served method');
+  assert((await remove.inject({ method: 'HEAD', url: '/users/' })).status === 308, 'HEAD is redirected where GET is served');
+  assert((await remove.inject('/users/')).headers.location === '/users', '/users/ redirects to /users');
+  assert(hooks.length === 0, 'Hooks do not run for the redirect');
+  assert((await remove.inject({ method: 'POST', url: '/users/' })).status === 405, 'A method the path does not serve is not redirected');
+  assert((await remove.inject('/users')).body === 'users', 'Canonical form is served');
+  const badHost = await remove.inject({ url: '/users/?a=1', headers: { host: 'a b' } });
+  assert(badHost.status === 308 && badHost.headers.location === '/users?a=1', 'The query is kept whatever the Host header');
+  const staticBadHost = await remove.inject({ url: '/static/guide/?a=1', headers: { host: 'a b' } });
+  assert(staticBadHost.status === 308 && staticBadHost.headers.location === '/static/guide?a=1', 'Static redirects keep the query whatever the Host header');
+  assert((await remove.inject('/')).status === 404, 'The root path is never redirected');
+  assert((await remove.inject('/static/guide/')).headers.location === '/static/guide', 'Static directories lose a slash');
+  assert((await remove.inject('/static/guide')).body.includes('Guide'), 'Directory index served without a slash');
+}
+
+async function testDocumentation() {
+  console.log('\n--- Testing trailingSlash in url() and OpenAPI ---');
+  const app = new Router({}, { trailingSlash: 'redirect-add' });
+  app.GET('/users/:id', (req, res) => { }, { name: 'user' });
+  app.SCHEMA.GET('/users/:id', { summary: 'Show a user' });
+
+  assert(app.url('user', { id: 3 }) === '/users/3/', 'url() builds the canonical form');
+  const spec = await app.OpenApi();
+  assert(spec.paths['/users/{id}/'] !== undefined, 'OpenAPI documents the canonical form');
+
+  const bare = new Router({}, { trailingSlash: 'redirect-remove' });
+  bare.GET('/teams/', (req, res) => { });
+  bare.SCHEMA.GET('/teams/', { summary: 'List teams' });
+  const bareSpec = await bare.OpenApi();
+  assert(bareSpec.paths['/teams'] !== undefined, 'redirect-remove documents paths without a slash');
+}
+
+async function run() {
+  try {
+    await testIgnore();
+    await testStrict();
+    await testRedirects();
+    await testDocumentation();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,122 @@
+import { Router } from '../src/index.js';
+import { parseHost } from '../src/utils.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    console.log(`✓ ${message}`);
+    passed++;
+  } else {
+    console.error(`✗ ${message}`);
+    failed++;
+  }
+}
+
+function get(app, host, url = '/') {
+  return app.inject({ url, headers: { host } });
+}
+
+async function testBaseDomains() {
+  console.log('\n--- Testing subdomains against base domains ---');
+  const bases = ['example.com', 'example.co.uk'];
+  assert(parseHost('api.example.co.uk', bases).subdomain === 'api', 'Multi-label base domains keep the subdomain');
+  assert(parseHost('example.co.uk:8080', bases).subdomain === 'www', 'The bare base domain has no subdomain');
+  assert(parseHost('eu.api.example.com', bases).subdomain === 'eu.api', 'Nested subdomains are kept whole');
+  assert(parseHost('api.other.io').subdomain === 'api', 'Unknown domains fall back to the last two labels');
+  assert(parseHost('[::1]:3000').domain === '::1', 'IPv6 hosts are parsed');
+
+  const app = new Router(null, { baseDomains: bases });
+  app.subdomain('api');
+  app.GET('/', (req, res) => { res.body = 'www'; });
+  app.GET('/status', (req, res) => { res.body = 'api'; }, { name: 'api.status', subdomain: 'api' });
+
+  assert((await get(app, 'api.example.co.uk', '/status')).body === 'api', 'Requests route by the configured base domain');
+  assert((await get(app, 'example.co.uk')).body === 'www', 'The base domain itself is the default subdomain');
+  assert(app.url('api.status', {}, { host: 'example.co.uk' }) === '//api.example.co.uk/status', 'url() builds hosts on the base domain');
+}
+
+async function testVhostDispatch() {
+  console.log('\n--- Testing vhost() dispatch ---');
+  const app = new Router({ name: 'main' });
+  const admin = new Router({ name: 'admin' });
+  const tenants = new Router();
+  const shops = new Router();
+  const regions = new Router();
+
+  app.GET('/', (req, res) => { res.body = `main:${JSON.stringify(req.hostParams)}`; });
+  admin.GET('/', (req, res) => { res.body = req.app.CONFIG('name'); });
+  tenants.GET('/', (req, res) => { res.json(req.hostParams); });
+  shops.GET('/', (req, res) => { res.json(req.hostParams); });
+  regions.GET('/', (req, res) => { res.json(req.hostParams); });
+
+  app.vhost('admin.example.com', admin)
+    .vhost('*.tenant.example.com', tenants)
+    .vhost(':shop.example.org', shops)
+    .vhost(/^(?<region>eu|us)\.api\.example\.com$/, regions)
+    .vhost('*.example.com', admin);
+
+  assert((await get(app, 'admin.example.com:8080')).body === 'admin', 'Exact hosts hand requests to their router');
+  assert((await get(app, 'ADMIN.Example.com')).body === 'admin', 'Hosts match case-insensitively');
+  assert((await get(app, 'acme.tenant.example.com')).json()[0] === 'acme', 'Wildcard labels are captured');
+  assert((await get(app, 'eu.acme.tenant.example.com')).json()[0] === 'eu.acme', 'A wildcard spans several labels');
+  assert((await get(app, 'books.example.org')).json().shop === 'books', 'Named labels are captured by name');
+  assert((await get(app, 'eu.api.example.com')).json().region === 'eu', 'RegExp named groups are captured');
+  assert((await get(app, 'www.example.com')).body === 'admin', 'Later patterns catch what earlier ones miss');
+  assert((await get(app, 'example.net')).body === 'main:{}', 'Other hosts stay with the main router');
+}
+
+async function testVhostPipeline() {
+  console.log('\n--- Testing the vhost router pipeline ---');
+  const app = new Router();
+  const api = new Router(null, { baseDomains: ['api.example.com'] });
+  api.subdomain('eu');
+  api.BEFORE('/*', (req, res) => { res.setHeader('x-api', '1'); });
+  api.GET('/ping', (req, res) => { res.body = 'pong'; });
+  api.GET('/ping', (req, res) => { res.body = 'eu pong'; }, 'eu');
+  api.POST('/items', (req, res) => { res.body = 'created'; });
+  api.SCHEMA.POST('/items', { expects: (data) => data && data.name ? { data } : { problems: 'name is required' } });
+  api.ERROR((error, req, res) => { res.status = error.statusCode || 500; res.body = 'api error'; });
+  app.vhost('*.api.example.com', api).vhost('api.example.com', api);
+
+  const ping = await get(app, 'api.example.com', '/ping');
+  assert(ping.body === 'pong' && ping.headers['x-api'] === '1', 'The vhost router runs its own hooks');
+  assert((await get(app, 'eu.api.example.com', '/ping')).body === 'eu pong', 'The vhost router reads subdomains against its base domains');
+
+  const invalid = await app.inject({ method: 'POST', url: '/items', headers: { host: 'api.example.com' }, body: {} });
+  assert(invalid.status === 422, 'Schemas of the vhost router are baked');
+  assert((await get(app, 'api.example.com', '/missing')).status === 404, 'Unknown paths 404 inside the vhost');
+
+  let error = null;
+  try {
+    app.vhost('other.example.com', {});
+  } catch (e) {
+    error = e;
+  }
+  assert(error instanceof TypeError, 'vhost() requires a Router');
+
+  error = null;
+  try {
+    app.vhost(':bad-name.example.com', api);
+  } catch (e) {
+    error = e;
+  }
+  assert(error instanceof TypeError, 'Invalid host parameter names are rejected');
+}
+
+async function run() {
+  try {
+    await testBaseDomains();
+    await testVhostDispatch();
+    await testVhostPipeline();
+    console.log(`\nTests finished: ${passed} passed, ${failed} failed`);
+    if (failed > 0) process.exit(1);
+    process.exit(0);
+  } catch (e) {
+    console.error(e);
+    process.exit(1);
+  }
+}
+
+run();